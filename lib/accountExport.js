@@ -0,0 +1,137 @@
+const prisma = require('./prisma');
+const { buildPlantExport } = require('./plantExport');
+const { writeChunk } = require('./utils');
+
+// Account export format, served at /account/export/
+//
+// {
+//     "format": "orchard-account",
+//     "version": 1,
+//     "exportedAt": "...",
+//     "account": { "id", "username", "isAdmin" },
+//     "credentials": [{ "id", "createdAt", "lastUsedAt", "transports" }],   // public keys are left out
+//     "recoveryCodes": [{ "createdAt", "usedAt" }],                          // hashes are left out
+//     "sessions": [{ "userAgent", "createdAt", "lastActiveAt", "expiresAt" }],
+//     "activity": [{ "action", "targetType", "targetId", "createdAt" }],
+//     "reports": [{ "word", "cells", "reason", "status", "createdAt" }],     // reports this user filed
+//     "plant": { ...plant export, "sharing", "createdAt", "updatedAt" } | null,
+//     "snapshots": [{ "name", "seed", "tiles", "words", "createdAt" }],
+//     "history": [{ "type", "source", "x", "y", "letter", "isSeed", "blooming", "createdAt" }]
+// }
+const ACCOUNT_EXPORT_FORMAT = 'orchard-account';
+const ACCOUNT_EXPORT_VERSION = 1;
+
+// Tile history is read and written in pages so a long-lived plant never holds the event loop
+const HISTORY_PAGE_SIZE = 1000;
+
+// Load everything except tile history, which is streamed separately
+async function loadAccountData(userId) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        include: {
+            credentials: { orderBy: { createdAt: 'asc' } },
+            recoveryCodes: { select: { createdAt: true, usedAt: true }, orderBy: { createdAt: 'asc' } },
+            plant: {
+                include: {
+                    tiles: {
+                        select: { x: true, y: true, letter: true, isSeed: true, blooming: true },
+                        orderBy: [{ y: 'asc' }, { x: 'asc' }]
+                    },
+                    words: { select: { word: true } },
+                    snapshots: {
+                        select: { name: true, seed: true, tiles: true, words: true, createdAt: true },
+                        orderBy: { createdAt: 'asc' }
+                    }
+                }
+            }
+        }
+    });
+    if (!user) return null;
+
+    // Things the user did, and things done to their account
+    const activity = await prisma.auditLog.findMany({
+        where: { OR: [{ actorId: userId }, { targetType: 'user', targetId: userId }] },
+        select: { action: true, targetType: true, targetId: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const reports = await prisma.report.findMany({
+        where: { reporterId: userId },
+        select: { word: true, cells: true, reason: true, status: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const sessions = await prisma.session.findMany({
+        where: { userId, expiresAt: { gt: new Date() } },
+        select: { userAgent: true, createdAt: true, lastActiveAt: true, expiresAt: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const { plant } = user;
+    return {
+        plantId: plant?.id ?? null,
+        document: {
+            format: ACCOUNT_EXPORT_FORMAT,
+            version: ACCOUNT_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            account: { id: user.id, username: user.username, isAdmin: user.isAdmin },
+            credentials: user.credentials.map(c => ({
+                id: c.id,
+                createdAt: c.createdAt,
+                lastUsedAt: c.lastUsedAt,
+                transports: c.transports ? JSON.parse(c.transports) : []
+            })),
+            recoveryCodes: user.recoveryCodes,
+            sessions,
+            activity,
+            reports,
+            plant: plant
+                ? {
+                    ...buildPlantExport(user.username, plant),
+                    sharing: plant.sharing,
+                    createdAt: plant.createdAt,
+                    updatedAt: plant.updatedAt
+                }
+                : null,
+            snapshots: plant?.snapshots ?? []
+        }
+    };
+}
+
+// Stream the export as JSON: the account document first, then tile history page by page
+async function streamAccountExport(res, data) {
+    const head = JSON.stringify(data.document);
+    await writeChunk(res, `${head.slice(0, -1)},"history":[`);
+
+    let cursor = null;
+    let first = true;
+    while (data.plantId && !res.destroyed) {
+        const events = await prisma.tileEvent.findMany({
+            where: { plantId: data.plantId },
+            select: {
+                id: true, type: true, source: true, x: true, y: true,
+                letter: true, isSeed: true, blooming: true, createdAt: true
+            },
+            orderBy: { seq: 'asc' },
+            take: HISTORY_PAGE_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+        if (events.length === 0) break;
+
+        const rows = events.map(({ id, ...event }) => JSON.stringify(event));
+        await writeChunk(res, (first ? '' : ',') + rows.join(','));
+        first = false;
+
+        if (events.length < HISTORY_PAGE_SIZE) break;
+        cursor = events[events.length - 1].id;
+    }
+
+    res.end(']}');
+}
+
+module.exports = {
+    ACCOUNT_EXPORT_FORMAT,
+    ACCOUNT_EXPORT_VERSION,
+    loadAccountData,
+    streamAccountExport,
+};
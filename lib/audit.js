@@ -0,0 +1,112 @@
+const prisma = require('./prisma');
+const { writeChunk } = require('./utils');
+
+// Audit entries shown per admin page, and read per batch when exporting CSV
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_EXPORT_BATCH_SIZE = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AUDIT_CSV_COLUMNS = ['createdAt', 'actor', 'actorId', 'action', 'targetType', 'targetId', 'ip', 'details'];
+
+// Record an audit log entry. Pass a transaction client to save it with the change it describes.
+async function recordAudit({ actorId = null, action, targetType = null, targetId = null, ip = null, details }, client = prisma) {
+    return client.auditLog.create({
+        data: { actorId, action, targetType, targetId, ip, details }
+    });
+}
+
+// Start of a YYYY-MM-DD day in UTC, or null
+function parseDay(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date) ? null : date;
+}
+
+// Read audit filters from a query string, returning the values to echo back and a Prisma where clause
+async function parseAuditFilters(query) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const filters = {
+        action: text(query.action),
+        actor: text(query.actor).toLowerCase(),
+        targetId: text(query.targetId),
+        from: text(query.from),
+        to: text(query.to),
+    };
+
+    const where = {};
+    if (filters.action) {
+        // "plant." matches every plant action
+        where.action = filters.action.endsWith('.') ? { startsWith: filters.action } : filters.action;
+    }
+    if (filters.actor) {
+        const actor = await prisma.user.findUnique({ where: { username: filters.actor }, select: { id: true } });
+        // An unknown actor matches nothing rather than everything
+        where.actorId = actor?.id ?? '';
+    }
+    if (filters.targetId) {
+        where.targetId = filters.targetId;
+    }
+
+    // Dates are whole UTC days; "to" includes the day itself
+    const from = parseDay(filters.from);
+    const to = parseDay(filters.to);
+    if (from) {
+        where.createdAt = { ...where.createdAt, gte: from };
+    }
+    if (to) {
+        where.createdAt = { ...where.createdAt, lt: new Date(to.getTime() + DAY_MS) };
+    }
+
+    return { filters, where };
+}
+
+// Quote a CSV field, defusing values a spreadsheet would run as a formula
+function csvField(value) {
+    let text = value == null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stream matching audit entries as CSV, oldest first, in batches
+async function streamAuditCsv(res, where) {
+    await writeChunk(res, AUDIT_CSV_COLUMNS.join(',') + '\n');
+
+    let cursor = null;
+    while (!res.destroyed) {
+        const entries = await prisma.auditLog.findMany({
+            where,
+            include: { actor: { select: { username: true } } },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+            take: AUDIT_EXPORT_BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+        if (entries.length === 0) break;
+
+        const rows = entries.map(e => [
+            e.createdAt.toISOString(),
+            e.actor?.username,
+            e.actorId,
+            e.action,
+            e.targetType,
+            e.targetId,
+            e.ip,
+            e.details == null ? '' : JSON.stringify(e.details),
+        ].map(csvField).join(','));
+        await writeChunk(res, rows.join('\n') + '\n');
+
+        if (entries.length < AUDIT_EXPORT_BATCH_SIZE) break;
+        cursor = entries[entries.length - 1].id;
+    }
+
+    res.end();
+}
+
+module.exports = {
+    AUDIT_PAGE_SIZE,
+    recordAudit,
+    parseAuditFilters,
+    streamAuditCsv,
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const prisma = require('./prisma');
+
+const BLOCKLIST_PATH = path.join(__dirname, '../public/words/blocklist.txt');
+
+// Reduce an entry to the form it would take on the grid or in a username
+function normalize(word) {
+    return String(word).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Entries shipped with the app; phrases are matched with their spaces removed
+const fileWords = new Set(
+    fs.readFileSync(BLOCKLIST_PATH, 'utf8')
+        .split('\n')
+        .map(normalize)
+        .filter(w => w.length > 0)
+);
+
+// Admin overrides from the database: word -> blocked (true adds, false allows)
+let overrides = new Map();
+
+// Check whether a word, seed or username is blocked
+function isBlocked(word) {
+    if (typeof word !== 'string') return false;
+    const normalized = normalize(word);
+    if (overrides.has(normalized)) {
+        return overrides.get(normalized);
+    }
+    return fileWords.has(normalized);
+}
+
+// All currently blocked words, sorted for the client
+function getBlockedWords() {
+    const words = new Set(fileWords);
+    for (const [word, blocked] of overrides) {
+        if (blocked) {
+            words.add(word);
+        } else {
+            words.delete(word);
+        }
+    }
+    return [...words].sort();
+}
+
+// Reload the override list from the database
+async function loadOverrides() {
+    const rows = await prisma.blocklistOverride.findMany({
+        select: { word: true, blocked: true },
+    });
+    overrides = new Map(rows.map(row => [row.word, row.blocked]));
+}
+
+// Add or change an override, returning the stored row
+async function setOverride(word, blocked) {
+    const normalized = normalize(word);
+    const row = await prisma.blocklistOverride.upsert({
+        where: { word: normalized },
+        update: { blocked },
+        create: { word: normalized, blocked },
+    });
+    overrides.set(normalized, blocked);
+    return row;
+}
+
+// Remove an override so the shipped list applies again
+async function removeOverride(word) {
+    const normalized = normalize(word);
+    await prisma.blocklistOverride.deleteMany({
+        where: { word: normalized },
+    });
+    overrides.delete(normalized);
+}
+
+module.exports = {
+    normalize,
+    isBlocked,
+    getBlockedWords,
+    loadOverrides,
+    setOverride,
+    removeOverride,
+};
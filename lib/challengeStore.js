@@ -0,0 +1,96 @@
+const prisma = require('./prisma');
+
+// WebAuthn ceremonies time out after a minute, so their challenges do too
+const CHALLENGE_TTL_MS = 60000;
+const CHALLENGE_CLEANUP_INTERVAL_MS = 60000;
+
+// Challenge stores hold short-lived ceremony state under string keys:
+//   set(key, value)  save a JSON-serializable value until the TTL passes
+//   take(key)        return the value and delete it, or null if missing or expired
+//   cleanup()        drop expired entries
+//   startCleanup()   run cleanup periodically
+
+// In-process store for development and single-process setups
+function createMemoryChallengeStore(ttlMs = CHALLENGE_TTL_MS) {
+    const entries = new Map();
+
+    const store = {
+        async set(key, value) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        async take(key) {
+            const entry = entries.get(key);
+            entries.delete(key);
+            if (!entry || entry.expiresAt <= Date.now()) return null;
+            return entry.value;
+        },
+
+        async cleanup() {
+            const now = Date.now();
+            for (const [key, entry] of entries.entries()) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                }
+            }
+        },
+
+        startCleanup(intervalMs = CHALLENGE_CLEANUP_INTERVAL_MS) {
+            setInterval(() => store.cleanup(), intervalMs).unref();
+        },
+    };
+
+    return store;
+}
+
+// Postgres-backed store so ceremonies survive restarts and work across processes
+function createPrismaChallengeStore(ttlMs = CHALLENGE_TTL_MS) {
+    const store = {
+        async set(key, value) {
+            const expiresAt = new Date(Date.now() + ttlMs);
+            await prisma.webAuthnChallenge.upsert({
+                where: { key },
+                create: { key, value, expiresAt },
+                update: { value, expiresAt },
+            });
+        },
+
+        async take(key) {
+            // Deleting first makes each challenge single-use even with concurrent requests
+            const entry = await prisma.webAuthnChallenge.delete({ where: { key } }).catch((err) => {
+                if (err.code === 'P2025') return null;
+                throw err;
+            });
+            if (!entry || entry.expiresAt <= new Date()) return null;
+            return entry.value;
+        },
+
+        async cleanup() {
+            await prisma.webAuthnChallenge.deleteMany({
+                where: { expiresAt: { lte: new Date() } },
+            });
+        },
+
+        startCleanup(intervalMs = CHALLENGE_CLEANUP_INTERVAL_MS) {
+            setInterval(() => {
+                store.cleanup().catch((err) => {
+                    console.error('Challenge cleanup error:', err);
+                });
+            }, intervalMs).unref();
+        },
+    };
+
+    return store;
+}
+
+// Shared store used by the auth routes; CHALLENGE_STORE=memory keeps challenges in-process
+const challengeStore = process.env.CHALLENGE_STORE === 'memory'
+    ? createMemoryChallengeStore()
+    : createPrismaChallengeStore();
+
+module.exports = {
+    CHALLENGE_TTL_MS,
+    challengeStore,
+    createMemoryChallengeStore,
+    createPrismaChallengeStore,
+};
@@ -2,22 +2,16 @@
 const rpID = process.env.RP_ID || "localhost";
 const port = process.env.PORT || 3004;
 const origin = process.env.ORIGIN || "http://localhost:3004";
+const rpName = "Networked Media Final";
+// Reverse proxies in front of the app; only this many X-Forwarded-For hops are believed for req.ip
+const trustProxy = Number.parseInt(process.env.TRUST_PROXY ?? "1", 10) || 0;
 
-// Plant grid configuration
-const SEED_WORD = "SEED";
-const GRID_WIDTH = 49;
-const GRID_HEIGHT = 49;
-const SEED_X = Math.floor(GRID_WIDTH / 2);
-const SEED_START_Y = GRID_HEIGHT - SEED_WORD.length;
+// Plant grid configuration lives in the shared grid rules (public/grid.js)
 
 module.exports = {
     rpID,
     port,
     origin,
-    SEED_WORD,
-    GRID_WIDTH,
-    GRID_HEIGHT,
-    SEED_X,
-    SEED_START_Y,
+    rpName,
+    trustProxy,
 };
-
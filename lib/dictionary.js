@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shortest run of letters that counts as a word
+const MIN_WORD_LENGTH = 3;
+
+const DICTIONARY_PATH = path.join(__dirname, '../public/words/all.txt');
+
+// Load a word list into a sorted array of uppercase words
+function loadWordList(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .map(w => w.trim().toUpperCase())
+        .filter(w => w.length >= MIN_WORD_LENGTH)
+        .sort();
+}
+
+// Loaded once at startup; binary search keeps lookups cheap without a large Set
+const words = loadWordList(DICTIONARY_PATH);
+
+// Check whether a word is in the dictionary
+function isWord(word) {
+    if (typeof word !== 'string' || word.length < MIN_WORD_LENGTH) return false;
+    const target = word.toUpperCase();
+
+    let low = 0;
+    let high = words.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (words[mid] === target) return true;
+        if (words[mid] < target) {
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    MIN_WORD_LENGTH,
+    isWord,
+};
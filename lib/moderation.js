@@ -0,0 +1,56 @@
+// Who can find a plant: public plants are in the gallery, unlisted ones only by link,
+// and hidden ones only by their owner and admins
+const PLANT_VISIBILITIES = ['public', 'unlisted', 'hidden'];
+
+// The same choice made by the owner; the stricter of the two settings wins
+const PLANT_SHARING = ['public', 'unlisted', 'private'];
+
+// Whether a user is serving a suspension
+function isSuspended(user) {
+    return Boolean(user?.suspendedUntil && user.suspendedUntil > new Date());
+}
+
+// Whether a plant belongs in the home gallery and its live updates
+function isListed(plant, owner) {
+    return plant.visibility === 'public' && plant.sharing === 'public' && !isSuspended(owner);
+}
+
+// Whether a plant is closed to everyone but its owner and admins
+function isRestricted(plant) {
+    return plant.visibility === 'hidden' || plant.sharing === 'private';
+}
+
+// Whether a viewer ({ id, isAdmin } or null when signed out) may open a plant
+function canViewPlant(plant, viewer) {
+    if (!isRestricted(plant)) return true;
+    return Boolean(viewer && (viewer.id === plant.userId || viewer.isAdmin));
+}
+
+// Lines explaining to a plant's owner what moderators have restricted
+function getOwnerNotices(plant, owner) {
+    const notices = [];
+    if (isSuspended(owner)) {
+        notices.push(`Your account is suspended until ${owner.suspendedUntil.toISOString().slice(0, 10)}. You can look at your plant but not change it.`);
+    }
+    if (plant.locked) {
+        notices.push('An admin locked your plant, so it cannot be changed for now.');
+    }
+    if (plant.visibility === 'hidden') {
+        notices.push('An admin hid your plant. Only you and the admins can see it.');
+    } else if (plant.visibility === 'unlisted') {
+        notices.push('Your plant is not shown in the orchard. Anyone with the link can still see it.');
+    } else if (isSuspended(owner) && plant.sharing === 'public') {
+        notices.push('Your plant is not shown in the orchard while you are suspended.');
+    }
+    return notices;
+}
+
+module.exports = {
+    PLANT_VISIBILITIES,
+    PLANT_SHARING,
+    isSuspended,
+    isListed,
+    isRestricted,
+    canViewPlant,
+    getOwnerNotices,
+};
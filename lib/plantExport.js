@@ -0,0 +1,94 @@
+const GridRules = require('../public/grid');
+
+// Plant export format, served at /plant/:username/export.json and accepted by /plant/import/
+//
+// {
+//     "format": "orchard-plant",
+//     "version": 1,
+//     "exportedAt": "2026-01-01T00:00:00.000Z",
+//     "username": "alice",
+//     "seed": "GARDEN",
+//     "tiles": [{ "x": 24, "y": 43, "letter": "G", "isSeed": true, "blooming": true }, ...],
+//     "words": ["GARDEN", ...]
+// }
+//
+// Coordinates use the 49x49 grid with the seed column at x = 24 ending on the bottom row.
+// On import, blooming and words are recomputed by the server; they are exported for archives.
+const PLANT_EXPORT_FORMAT = 'orchard-plant';
+const PLANT_EXPORT_VERSION = 1;
+
+// Build the export document for a plant
+function buildPlantExport(username, plant) {
+    return {
+        format: PLANT_EXPORT_FORMAT,
+        version: PLANT_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        username,
+        seed: plant.seed,
+        tiles: plant.tiles.map(({ x, y, letter, isSeed, blooming }) => ({ x, y, letter, isSeed, blooming })),
+        words: plant.words.map((w) => w.word),
+    };
+}
+
+// Validate an import document against the grid rules, returning { error } or { seed, tiles }
+function validatePlantImport(data) {
+    if (!data || typeof data !== 'object' || data.format !== PLANT_EXPORT_FORMAT) {
+        return { error: 'Not a plant export file' };
+    }
+    if (data.version !== PLANT_EXPORT_VERSION) {
+        return { error: `Unsupported export version ${data.version}` };
+    }
+    if (typeof data.seed !== 'string') {
+        return { error: 'Seed must be a word' };
+    }
+    if (!Array.isArray(data.tiles) || data.tiles.length > GridRules.GRID_WIDTH * GridRules.GRID_HEIGHT) {
+        return { error: 'Tiles must be a list of grid cells' };
+    }
+    if (data.words !== undefined && (!Array.isArray(data.words) || data.words.some((w) => typeof w !== 'string'))) {
+        return { error: 'Words must be a list of strings' };
+    }
+
+    const seed = data.seed.toUpperCase();
+    const grid = new Map();
+
+    for (const tile of data.tiles) {
+        const { x, y, letter, isSeed } = tile ?? {};
+        if (!Number.isInteger(x) || !Number.isInteger(y) || typeof letter !== 'string' || !/^[A-Z]$/i.test(letter)) {
+            return { error: 'Each tile needs integer x, y and a letter A-Z' };
+        }
+
+        const key = GridRules.cellKey(x, y);
+        if (grid.has(key)) {
+            return { error: `Duplicate tile at ${key}` };
+        }
+        if (!isSeed && (!GridRules.isInBounds(x, y) || GridRules.isBlockedBySeed(seed, x, y))) {
+            return { error: `Tile at ${key} is outside the plant` };
+        }
+
+        grid.set(key, { x, y, letter: letter.toUpperCase(), isSeed: isSeed === true, blooming: false });
+    }
+
+    // The seed tiles must spell the seed in its usual column
+    const seedCells = GridRules.getSeedCells(seed);
+    const seedTiles = [...grid.values()].filter((t) => t.isSeed);
+    const seedMatches = seedTiles.length === seedCells.length && seedCells.every((cell) =>
+        grid.get(GridRules.cellKey(cell.x, cell.y))?.isSeed &&
+        grid.get(GridRules.cellKey(cell.x, cell.y)).letter === cell.letter
+    );
+    if (!seedMatches) {
+        return { error: 'Seed tiles do not match the seed word' };
+    }
+
+    if (GridRules.findDisconnectedLetters(grid, seed).length > 0) {
+        return { error: 'Every tile must connect to the seed' };
+    }
+
+    return { seed, tiles: [...grid.values()] };
+}
+
+module.exports = {
+    PLANT_EXPORT_FORMAT,
+    PLANT_EXPORT_VERSION,
+    buildPlantExport,
+    validatePlantImport,
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+const { renderAsync } = require('@resvg/resvg-js');
+const GridRules = require('../public/grid');
+const { getPlantBounds } = require('./plantText');
+
+// Mirrors COLORS in public/home.js
+const COLORS = {
+    background: '#FFFFFF',
+    seed: '#124434',
+    blooming: '#36856B',
+    withering: '#7C5F4C',
+    sign: '#B0866A',
+};
+
+const CELL_SIZE = 52;
+const SIGN_PADDING_CELLS = 1;
+const SIGN_LETTER_SPACING = 2;
+
+// Letters are drawn as outlines from the Retro font so no font needs to be installed
+const font = fontkit.openSync(path.join(__dirname, '../public/assets/retro.woff2'));
+const appleDataUri = `data:image/png;base64,${fs.readFileSync(path.join(__dirname, '../public/assets/apple.png')).toString('base64')}`;
+
+// Rendered images, or renders still running, keyed by plant, username and Plant.updatedAt
+const MAX_CACHED_IMAGES = 100;
+const imageCache = new Map();
+
+// Escape text for use inside SVG markup
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Width of a string at a font size, including canvas-style letter spacing
+function measureText(text, fontSize, letterSpacing = 0) {
+    const scale = fontSize / font.unitsPerEm;
+    let width = 0;
+    for (const char of text) {
+        width += font.glyphForCodePoint(char.codePointAt(0)).advanceWidth * scale + letterSpacing;
+    }
+    return width;
+}
+
+// Offset from the vertical middle of the em box to the baseline (canvas textBaseline 'middle')
+function middleToBaseline(fontSize) {
+    return (font.ascent + font.descent) / 2 * (fontSize / font.unitsPerEm);
+}
+
+// Collect glyph outlines as reusable <path> definitions
+function glyphDefs(chars) {
+    return [...chars].map((char) => {
+        const glyph = font.glyphForCodePoint(char.codePointAt(0));
+        return `<path id="glyph-${char.codePointAt(0)}" d="${glyph.path.toSVG()}"/>`;
+    }).join('');
+}
+
+// Place a glyph centred on (centerX, middleY) like fillText with textAlign 'center'
+function glyphUse(char, centerX, middleY, fontSize, attrs) {
+    const scale = fontSize / font.unitsPerEm;
+    const glyph = font.glyphForCodePoint(char.codePointAt(0));
+    const x = centerX - glyph.advanceWidth * scale / 2;
+    const y = middleY + middleToBaseline(fontSize);
+    return `<use href="#glyph-${char.codePointAt(0)}" transform="translate(${x.toFixed(2)} ${y.toFixed(2)}) scale(${scale.toFixed(5)} ${(-scale).toFixed(5)})" ${attrs}/>`;
+}
+
+// Render a plant and its username sign as an SVG document, following drawPlant in home.js
+function renderPlantSvg(username, tiles) {
+    const cellSize = CELL_SIZE;
+    const fontSize = Math.floor(cellSize * 0.8846);
+    const yOffset = cellSize * 0.094;
+    const bounds = getPlantBounds(tiles);
+    const seedTile = tiles.find((t) => t.isSeed);
+    const signText = username.toUpperCase();
+
+    // Sign board size, as in drawUsernameSign
+    const signFontSize = Math.floor(cellSize * 0.55);
+    const signPadding = cellSize * 0.25;
+    const boardWidth = measureText(signText, signFontSize, SIGN_LETTER_SPACING) + 2 + signPadding * 2;
+
+    // Widen the image on the left if the sign would not fit, as in getExtraSignWidth
+    let extraSignWidth = 0;
+    if (seedTile) {
+        const seedRelX = seedTile.x - bounds.minX;
+        const signLeftEdge = seedRelX * cellSize - SIGN_PADDING_CELLS * cellSize - boardWidth;
+        if (signLeftEdge < cellSize) {
+            extraSignWidth = Math.ceil((cellSize - signLeftEdge) / cellSize) * cellSize;
+        }
+    }
+
+    const width = Math.ceil(bounds.width * cellSize + extraSignWidth);
+    const height = Math.ceil(Math.max(bounds.height, 3) * cellSize);
+    const offsetX = extraSignWidth;
+    const offsetY = height - bounds.height * cellSize;
+
+    const body = [];
+
+    for (const tile of tiles) {
+        const relX = tile.x - bounds.minX;
+        const relY = tile.y - bounds.minY;
+        const cellX = offsetX + relX * cellSize;
+        const cellY = offsetY + relY * cellSize;
+
+        if (tile.isSeed) {
+            body.push(glyphUse(tile.letter, cellX + cellSize / 2, cellY + cellSize / 2 + yOffset, fontSize, `fill="${COLORS.seed}"`));
+            continue;
+        }
+
+        // Letters fade towards the top of the grid
+        const alpha = Math.round((0.5 + (tile.y / (GridRules.GRID_HEIGHT - 1)) * 0.5) * 100) / 100;
+        if (tile.letter.toUpperCase() === 'O') {
+            const appleSize = cellSize / 7 * 4.6;
+            body.push(`<image href="${appleDataUri}" x="${(cellX + cellSize / 7 * 1.2).toFixed(2)}" y="${(cellY + cellSize / 7 * 1.2).toFixed(2)}" width="${appleSize.toFixed(2)}" height="${appleSize.toFixed(2)}" opacity="${alpha}"/>`);
+        } else {
+            const color = tile.blooming ? COLORS.blooming : COLORS.withering;
+            body.push(glyphUse(tile.letter, cellX + cellSize / 2, cellY + cellSize / 2 + yOffset, fontSize, `fill="${color}" fill-opacity="${alpha}"`));
+        }
+    }
+
+    if (seedTile) {
+        const seedLeftEdge = offsetX + (seedTile.x - bounds.minX) * cellSize;
+        const signCenterX = seedLeftEdge - SIGN_PADDING_CELLS * cellSize - boardWidth / 2;
+        body.push(renderSign(signText, signCenterX, height, cellSize, boardWidth, signFontSize));
+    }
+
+    const chars = new Set([...tiles.map((t) => t.letter), ...(seedTile ? signText : '')]);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<title>${escapeXml(username)}'s plant</title>
+<defs>${glyphDefs(chars)}</defs>
+<rect width="100%" height="100%" fill="${COLORS.background}"/>
+${body.join('\n')}
+</svg>
+`;
+}
+
+// Draw the username sign post and board, following drawUsernameSign in home.js
+function renderSign(signText, signCenterX, groundY, cellSize, boardWidth, signFontSize) {
+    const postWidth = cellSize / 5;
+    const pinSize = Math.floor(cellSize / 8);
+    const boardHeight = cellSize;
+    const stemHeight = cellSize;
+    const boardY = groundY - stemHeight - boardHeight;
+    const boardX = signCenterX - boardWidth / 2;
+
+    const rect = (x, y, w, h, fill) =>
+        `<rect x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${w.toFixed(2)}" height="${h.toFixed(2)}" fill="${fill}"/>`;
+
+    const parts = [
+        rect(signCenterX - postWidth / 2, boardY + boardHeight - 2, postWidth, stemHeight + 2, COLORS.sign),
+        rect(boardX, boardY, boardWidth, boardHeight, COLORS.sign),
+        rect(boardX + pinSize, boardY + pinSize, pinSize, pinSize, COLORS.withering),
+        rect(boardX + boardWidth - pinSize * 2, boardY + pinSize, pinSize, pinSize, COLORS.withering),
+        rect(boardX + pinSize, boardY + boardHeight - pinSize * 2, pinSize, pinSize, COLORS.withering),
+        rect(boardX + boardWidth - pinSize * 2, boardY + boardHeight - pinSize * 2, pinSize, pinSize, COLORS.withering),
+    ];
+
+    // Centred text with letter spacing after every character, as canvas lays it out
+    const textY = boardY + boardHeight / 2 + signFontSize * 0.12;
+    let x = signCenterX + 1 - measureText(signText, signFontSize, SIGN_LETTER_SPACING) / 2;
+    for (const char of signText) {
+        const advance = measureText(char, signFontSize);
+        parts.push(glyphUse(char, x + advance / 2, textY, signFontSize, `fill="${COLORS.background}"`));
+        x += advance + SIGN_LETTER_SPACING;
+    }
+
+    return parts.join('\n');
+}
+
+// Rasterize an SVG document to PNG on the libuv thread pool, so a render doesn't hold up other requests
+async function renderPng(svg) {
+    const rendered = await renderAsync(svg, { font: { loadSystemFonts: false } });
+    return rendered.asPng();
+}
+
+// Get a plant image ('svg' or 'png'), rendering it only when the plant has changed.
+// Requests arriving while a render is running share it.
+function getPlantImage(plant, username, format) {
+    const key = `${plant.id}:${username}:${plant.updatedAt.getTime()}:${format}`;
+    const cached = imageCache.get(key);
+    if (cached) return cached;
+
+    const svg = renderPlantSvg(username, plant.tiles);
+    const image = format === 'png' ? renderPng(svg) : Promise.resolve(Buffer.from(svg));
+
+    // A failed render is tried again on the next request
+    image.catch(() => {
+        if (imageCache.get(key) === image) imageCache.delete(key);
+    });
+
+    // Drop older renders of this plant, then the oldest entries once full
+    for (const cachedKey of imageCache.keys()) {
+        if (cachedKey.startsWith(`${plant.id}:`) && cachedKey.endsWith(`:${format}`)) {
+            imageCache.delete(cachedKey);
+        }
+    }
+    if (imageCache.size >= MAX_CACHED_IMAGES) {
+        imageCache.delete(imageCache.keys().next().value);
+    }
+    imageCache.set(key, image);
+
+    return image;
+}
+
+module.exports = {
+    renderPlantSvg,
+    getPlantImage,
+};
@@ -0,0 +1,50 @@
+const GridRules = require('../public/grid');
+
+// Tile bounds with one blank column either side, as shown in the home gallery
+function getPlantBounds(tiles, padding = 1) {
+    let minX = Infinity, maxX = -Infinity;
+    let minY = Infinity, maxY = -Infinity;
+
+    for (const t of tiles) {
+        minX = Math.min(minX, t.x);
+        maxX = Math.max(maxX, t.x);
+        minY = Math.min(minY, t.y);
+        maxY = Math.max(maxY, t.y);
+    }
+
+    minX = Math.max(-1, minX - padding);
+    maxX = Math.min(GridRules.GRID_WIDTH, maxX + padding);
+    minY = Math.max(0, minY);
+    maxY = Math.min(GridRules.GRID_HEIGHT - 1, maxY);
+
+    return {
+        minX,
+        maxX,
+        minY,
+        maxY,
+        width: maxX - minX + 1,
+        height: maxY - minY + 1
+    };
+}
+
+// Render a plant as lines of text, one character per cell and spaces for blank cells.
+// With markBlooming, blooming letters are uppercase and withering letters lowercase.
+function renderPlantText(tiles, { markBlooming = false } = {}) {
+    if (tiles.length === 0) return '';
+
+    const bounds = getPlantBounds(tiles);
+    const rows = Array.from({ length: bounds.height }, () => Array(bounds.width).fill(' '));
+
+    for (const tile of tiles) {
+        const letter = tile.letter.toUpperCase();
+        rows[tile.y - bounds.minY][tile.x - bounds.minX] =
+            markBlooming && !tile.isSeed && !tile.blooming ? letter.toLowerCase() : letter;
+    }
+
+    return rows.map((row) => row.join('')).join('\n') + '\n';
+}
+
+module.exports = {
+    getPlantBounds,
+    renderPlantText,
+};
@@ -0,0 +1,32 @@
+// Fixed-window attempt counters for HTTP routes, keyed by strings like "recover:ip:1.2.3.4"
+const rateLimitMap = new Map();
+
+// Count an attempt and return whether the key is still within its limit
+function checkRateLimit(key, limit, windowMs) {
+    const now = Date.now();
+    const record = rateLimitMap.get(key) || { count: 0, start: now, windowMs };
+
+    if (now - record.start > windowMs) {
+        record.count = 1;
+        record.start = now;
+    } else {
+        record.count++;
+    }
+
+    rateLimitMap.set(key, record);
+    return record.count <= limit;
+}
+
+// Clean up expired windows periodically
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, record] of rateLimitMap.entries()) {
+        if (now - record.start > record.windowMs) {
+            rateLimitMap.delete(key);
+        }
+    }
+}, 60000).unref();
+
+module.exports = {
+    checkRateLimit,
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const prisma = require('./prisma');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// No 0/O or 1/I so codes can be read back from paper
+const RECOVERY_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const RECOVERY_CODE_LENGTH = 10;
+
+// Make one random code, shown as XXXXX-XXXXX
+function generateRecoveryCode() {
+    const bytes = crypto.randomBytes(RECOVERY_CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < RECOVERY_CODE_LENGTH; i++) {
+        code += RECOVERY_CODE_ALPHABET[bytes[i] % RECOVERY_CODE_ALPHABET.length];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+// Ignore case, spaces and dashes when comparing codes
+function normalizeRecoveryCode(code) {
+    return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Codes are random enough that a plain SHA-256 can't be brute-forced back to them
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Replace a user's recovery codes, returning the new codes in plain text to show once
+async function createRecoveryCodes(userId, client = prisma) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await client.recoveryCode.deleteMany({ where: { userId } });
+    await client.recoveryCode.createMany({
+        data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) }))
+    });
+
+    return codes;
+}
+
+// Mark a matching unused code as used, returning whether one was found
+async function consumeRecoveryCode(userId, code) {
+    const { count } = await prisma.recoveryCode.updateMany({
+        where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+        data: { usedAt: new Date() }
+    });
+    return count > 0;
+}
+
+// Count a user's unused codes
+function countRecoveryCodes(userId) {
+    return prisma.recoveryCode.count({ where: { userId, usedAt: null } });
+}
+
+module.exports = {
+    RECOVERY_CODE_COUNT,
+    createRecoveryCodes,
+    consumeRecoveryCode,
+    countRecoveryCodes,
+};
@@ -0,0 +1,22 @@
+const prisma = require('./prisma');
+
+// Route middleware that lets only signed-in admins through, leaving their record on req.admin
+async function requireAdmin(req, res, next) {
+    const user = req.session.userId
+        ? await prisma.user.findUnique({
+            where: { id: req.session.userId },
+            select: { id: true, username: true, isAdmin: true }
+        })
+        : null;
+
+    if (!user?.isAdmin) {
+        return res.status(403).json({ error: 'Unauthorized' });
+    }
+
+    req.admin = user;
+    next();
+}
+
+module.exports = {
+    requireAdmin,
+};
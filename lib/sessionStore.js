@@ -0,0 +1,130 @@
+const session = require('express-session');
+const prisma = require('./prisma');
+
+// Sessions without a cookie expiry (none are created today) last a day
+const DEFAULT_SESSION_TTL_MS = 1000 * 60 * 60 * 24;
+const SESSION_CLEANUP_INTERVAL_MS = 1000 * 60 * 15;
+
+// Only record activity once a minute per session to keep requests from writing every time
+const TOUCH_INTERVAL_MS = 60000;
+
+// When a session's cookie stops being valid
+function getExpiry(sess) {
+    return sess.cookie?.expires
+        ? new Date(sess.cookie.expires)
+        : new Date(Date.now() + DEFAULT_SESSION_TTL_MS);
+}
+
+// express-session store persisted in the Session table
+class PrismaSessionStore extends session.Store {
+    constructor() {
+        super();
+        this.lastTouched = new Map();
+    }
+
+    get(sid, callback) {
+        prisma.session.findUnique({ where: { sid } })
+            .then((row) => {
+                if (!row || row.expiresAt <= new Date()) return callback(null, null);
+                callback(null, row.data);
+            })
+            .catch(callback);
+    }
+
+    set(sid, sess, callback = () => {}) {
+        // Only a session this store never saved is created. One that has gone missing was destroyed,
+        // e.g. by signing out other devices, and a request still running for it must not bring it back.
+        const isNew = !sess.persisted;
+
+        // Dates in the cookie are stored as strings, which express-session reads back
+        const data = { ...JSON.parse(JSON.stringify(sess)), persisted: true };
+        const fields = {
+            data,
+            userId: sess.userId ?? null,
+            userAgent: sess.userAgent ?? null,
+            expiresAt: getExpiry(sess),
+            lastActiveAt: new Date(),
+        };
+
+        this.lastTouched.set(sid, Date.now());
+        const write = isNew
+            ? prisma.session.create({ data: { sid, ...fields } })
+            : prisma.session.updateMany({ where: { sid }, data: fields });
+        write
+            .then(() => {
+                sess.persisted = true;
+                callback(null);
+            })
+            .catch(callback);
+    }
+
+    touch(sid, sess, callback = () => {}) {
+        if (Date.now() - (this.lastTouched.get(sid) ?? 0) < TOUCH_INTERVAL_MS) {
+            return callback(null);
+        }
+
+        this.lastTouched.set(sid, Date.now());
+        prisma.session.updateMany({
+            where: { sid },
+            data: { expiresAt: getExpiry(sess), lastActiveAt: new Date() },
+        })
+            .then(() => callback(null))
+            .catch(callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        this.lastTouched.delete(sid);
+        prisma.session.deleteMany({ where: { sid } })
+            .then(() => callback(null))
+            .catch(callback);
+    }
+
+    // A user's signed-in sessions, most recently active first
+    listUserSessions(userId) {
+        return prisma.session.findMany({
+            where: { userId, expiresAt: { gt: new Date() } },
+            select: { sid: true, userAgent: true, createdAt: true, lastActiveAt: true },
+            orderBy: { lastActiveAt: 'desc' },
+        });
+    }
+
+    // Sign a user out everywhere except one session, returning the removed session IDs
+    async destroyUserSessions(userId, exceptSid = null) {
+        const where = exceptSid ? { userId, sid: { not: exceptSid } } : { userId };
+        const sessions = await prisma.session.findMany({ where, select: { sid: true } });
+        await prisma.session.deleteMany({ where });
+
+        const sids = sessions.map((s) => s.sid);
+        for (const sid of sids) {
+            this.lastTouched.delete(sid);
+        }
+        return sids;
+    }
+
+    // Drop expired sessions
+    async cleanup() {
+        await prisma.session.deleteMany({ where: { expiresAt: { lte: new Date() } } });
+
+        const cutoff = Date.now() - TOUCH_INTERVAL_MS;
+        for (const [sid, touchedAt] of this.lastTouched.entries()) {
+            if (touchedAt < cutoff) {
+                this.lastTouched.delete(sid);
+            }
+        }
+    }
+
+    startCleanup(intervalMs = SESSION_CLEANUP_INTERVAL_MS) {
+        setInterval(() => {
+            this.cleanup().catch((err) => {
+                console.error('Session cleanup error:', err);
+            });
+        }, intervalMs).unref();
+    }
+}
+
+const sessionStore = new PrismaSessionStore();
+
+module.exports = {
+    PrismaSessionStore,
+    sessionStore,
+};
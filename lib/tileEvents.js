@@ -0,0 +1,32 @@
+// Kinds of change recorded in a plant's tile history
+const TILE_EVENT_TYPES = ['place', 'edit', 'delete', 'bloom'];
+
+// Who caused a change: the person editing, or the owner's auto-growth
+const TILE_EVENT_SOURCES = ['manual', 'auto-growth'];
+
+// Read the source a client reported, defaulting to a manual edit
+function getEventSource(data) {
+    return TILE_EVENT_SOURCES.includes(data?.source) ? data.source : 'manual';
+}
+
+// Build a TileEvent row for a cell
+function tileEventData(plantId, type, cell, actorId, source = 'manual') {
+    return {
+        plantId,
+        actorId: actorId || null,
+        type,
+        source,
+        x: cell.x,
+        y: cell.y,
+        letter: type === 'delete' ? null : cell.letter,
+        isSeed: cell.isSeed ?? false,
+        blooming: type === 'delete' ? false : cell.blooming ?? false,
+    };
+}
+
+module.exports = {
+    TILE_EVENT_TYPES,
+    TILE_EVENT_SOURCES,
+    getEventSource,
+    tileEventData,
+};
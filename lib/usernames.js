@@ -0,0 +1,41 @@
+const prisma = require('./prisma');
+const { isBlocked } = require('./blocklist');
+const UsernameRules = require('../public/username');
+
+// Check a username someone wants to take, returning { username } in stored form or { error }
+async function checkNewUsername(input, userId = null) {
+    const result = UsernameRules.validateUsername(input);
+    if (result.code) {
+        return { error: result.message };
+    }
+
+    const { username } = result;
+    if (isBlocked(username) || UsernameRules.usernameSkeletons(username).some(isBlocked)) {
+        return { error: 'Username unavailable' };
+    }
+
+    // Old names keep redirecting to their owner, so only that owner can take one back
+    const [user, alias] = await Promise.all([
+        prisma.user.findUnique({ where: { username }, select: { id: true } }),
+        prisma.usernameAlias.findUnique({ where: { username }, select: { userId: true } })
+    ]);
+    if ((user && user.id !== userId) || (alias && alias.userId !== userId)) {
+        return { error: 'Username unavailable' };
+    }
+
+    return { username };
+}
+
+// Find the current username for a name that may have been changed, or null
+async function resolveUsernameAlias(username) {
+    const alias = await prisma.usernameAlias.findUnique({
+        where: { username },
+        select: { user: { select: { username: true } } }
+    });
+    return alias?.user.username ?? null;
+}
+
+module.exports = {
+    checkNewUsername,
+    resolveUsernameAlias,
+};
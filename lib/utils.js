@@ -1,5 +1,7 @@
 // Helper functions
 
+const { once } = require('events');
+
 function randomId() {
     return Math.random().toString(36).slice(2);
 }
@@ -31,10 +33,18 @@ function bufferToBase64URLString(buffer) {
         .replace(/=/g, '');
 }
 
+// Write a chunk to a streamed response, waiting for the client to catch up when the socket buffer is full
+async function writeChunk(res, chunk) {
+    if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+}
+
 module.exports = {
     randomId,
     generateShortId,
     base64URLStringToBuffer,
     bufferToBase64URLString,
+    writeChunk,
 };
 
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "BlocklistOverride" (
+    "id" TEXT NOT NULL,
+    "word" TEXT NOT NULL,
+    "blocked" BOOLEAN NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BlocklistOverride_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BlocklistOverride_word_key" ON "BlocklistOverride"("word");
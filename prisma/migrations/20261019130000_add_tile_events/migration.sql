@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "TileEvent" (
+    "id" TEXT NOT NULL,
+    "plantId" TEXT NOT NULL,
+    "actorId" TEXT,
+    "type" TEXT NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "x" INTEGER NOT NULL,
+    "y" INTEGER NOT NULL,
+    "letter" CHAR(1),
+    "isSeed" BOOLEAN NOT NULL DEFAULT false,
+    "blooming" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TileEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TileEvent_plantId_createdAt_idx" ON "TileEvent"("plantId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "TileEvent" ADD CONSTRAINT "TileEvent_plantId_fkey" FOREIGN KEY ("plantId") REFERENCES "Plant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TileEvent" ADD CONSTRAINT "TileEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "PlantSnapshot" (
+    "id" TEXT NOT NULL,
+    "plantId" TEXT NOT NULL,
+    "createdById" TEXT,
+    "name" TEXT NOT NULL,
+    "seed" TEXT NOT NULL,
+    "tiles" JSONB NOT NULL,
+    "words" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PlantSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PlantSnapshot_plantId_createdAt_idx" ON "PlantSnapshot"("plantId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PlantSnapshot" ADD CONSTRAINT "PlantSnapshot_plantId_fkey" FOREIGN KEY ("plantId") REFERENCES "Plant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PlantSnapshot" ADD CONSTRAINT "PlantSnapshot_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
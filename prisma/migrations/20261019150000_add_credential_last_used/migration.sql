@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Credential" ADD COLUMN     "lastUsedAt" TIMESTAMP(3);
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "UsernameAlias" (
+    "username" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UsernameAlias_pkey" PRIMARY KEY ("username")
+);
+
+-- CreateIndex
+CREATE INDEX "UsernameAlias_userId_idx" ON "UsernameAlias"("userId");
+
+-- AddForeignKey
+ALTER TABLE "UsernameAlias" ADD CONSTRAINT "UsernameAlias_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Plant" ADD COLUMN     "hidden" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "locked" BOOLEAN NOT NULL DEFAULT false;
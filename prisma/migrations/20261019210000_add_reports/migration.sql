@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "suspendedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "Report" (
+    "id" TEXT NOT NULL,
+    "plantId" TEXT NOT NULL,
+    "reporterId" TEXT,
+    "word" TEXT,
+    "region" JSONB,
+    "reason" TEXT NOT NULL,
+    "ip" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "resolution" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Report_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Report_status_createdAt_idx" ON "Report"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Report_plantId_idx" ON "Report"("plantId");
+
+-- AddForeignKey
+ALTER TABLE "Report" ADD CONSTRAINT "Report_plantId_fkey" FOREIGN KEY ("plantId") REFERENCES "Plant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Report" ADD CONSTRAINT "Report_reporterId_fkey" FOREIGN KEY ("reporterId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Report" ADD CONSTRAINT "Report_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
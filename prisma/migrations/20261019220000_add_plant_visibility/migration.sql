@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Plant" ADD COLUMN     "visibility" TEXT NOT NULL DEFAULT 'public';
+
+-- Plants hidden from the gallery so far kept working by link, which is what unlisted means
+UPDATE "Plant" SET "visibility" = 'unlisted' WHERE "hidden" = true;
+
+-- AlterTable
+ALTER TABLE "Plant" DROP COLUMN "hidden";
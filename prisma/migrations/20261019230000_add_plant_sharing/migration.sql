@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Plant" ADD COLUMN     "sharing" TEXT NOT NULL DEFAULT 'public';
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "TileEvent" ADD COLUMN     "seq" SERIAL NOT NULL;
+
+-- Number existing events by time; events saved together were written deletes first, then places and edits, then blooms
+UPDATE "TileEvent" SET "seq" = ordered."n"
+FROM (
+    SELECT "id", ROW_NUMBER() OVER (
+        ORDER BY "createdAt",
+            CASE "type" WHEN 'delete' THEN 0 WHEN 'bloom' THEN 2 ELSE 1 END,
+            "id"
+    ) AS "n"
+    FROM "TileEvent"
+) AS ordered
+WHERE "TileEvent"."id" = ordered."id";
+
+SELECT setval(pg_get_serial_sequence('"TileEvent"', 'seq'), COALESCE(MAX("seq"), 0) + 1, false) FROM "TileEvent";
+
+-- DropIndex
+DROP INDEX "TileEvent_plantId_createdAt_idx";
+
+-- CreateIndex
+CREATE INDEX "TileEvent_plantId_seq_idx" ON "TileEvent"("plantId", "seq");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Report" RENAME COLUMN "region" TO "cells";
+
+-- Reports used to point at the reporter's whole screen; those rectangles are too broad to act on
+UPDATE "Report" SET "cells" = NULL WHERE jsonb_typeof("cells") = 'object';
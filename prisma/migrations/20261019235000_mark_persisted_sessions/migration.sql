@@ -0,0 +1,2 @@
+-- Sessions saved before the store told new sessions from destroyed ones; the store only updates these
+UPDATE "Session" SET "data" = "data" || '{"persisted": true}'::jsonb;
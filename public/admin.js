@@ -0,0 +1,41 @@
+const adminStatus = document.getElementById("admin-status");
+
+// Show a message above the user list
+function showStatus(message) {
+    adminStatus.textContent = message;
+}
+
+// Run a moderation action and reload the dashboard to show its result
+async function runAdminAction(button) {
+    hideAlert();
+
+    // Buttons carry any request body as JSON, e.g. the role to switch to
+    const body = button.dataset.body ? JSON.parse(button.dataset.body) : {};
+    const response = await fetch(button.dataset.adminUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    }).then(r => r.json());
+
+    if (response.error) {
+        showStatus(response.error);
+        return;
+    }
+    location.reload();
+}
+
+document.querySelectorAll("[data-admin-url]").forEach(button => {
+    button.addEventListener("click", () => {
+        if (!button.dataset.confirm) {
+            runAdminAction(button);
+            return;
+        }
+
+        alertContentText.textContent = button.dataset.confirm;
+        alertButtonSecondary.textContent = "Cancel";
+        alertButtonPrimary.textContent = button.textContent.trim();
+        alertButtonSecondary.onclick = hideAlert;
+        alertButtonPrimary.onclick = () => runAdminAction(button);
+        showAlert();
+    });
+});
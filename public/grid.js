@@ -0,0 +1,357 @@
+// Grid rules shared by the browser (window.GridRules) and the server (require)
+// Every function takes the grid state explicitly: a Map of "x,y" -> { x, y, letter, isSeed, blooming }
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GridRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const GRID_WIDTH = 49;
+    const GRID_HEIGHT = 49;
+    const SEED_X = Math.floor(GRID_WIDTH / 2);
+
+    // Bottom rows are reserved for the seed and cannot hold new letters
+    const PLAYABLE_HEIGHT = GRID_HEIGHT - 3;
+
+    // Build the grid map key for a cell
+    function cellKey(x, y) {
+        return `${x},${y}`;
+    }
+
+    // Row where the seed column starts for a given seed word
+    function getSeedStartY(seed) {
+        return GRID_HEIGHT - seed.length;
+    }
+
+    // Positions of the seed column for a given seed word
+    function getSeedCells(seed) {
+        const seedStartY = getSeedStartY(seed);
+        const cells = [];
+        for (let i = 0; i < seed.length; i++) {
+            cells.push({ x: SEED_X, y: seedStartY + i, letter: seed[i].toUpperCase() });
+        }
+        return cells;
+    }
+
+    // Check if coordinates are inside the playable grid
+    function isInBounds(x, y) {
+        return x >= 0 && x < GRID_WIDTH && y >= 0 && y < PLAYABLE_HEIGHT;
+    }
+
+    // Check whether a letter exists at a grid cell
+    function hasLetter(grid, x, y) {
+        return grid.has(cellKey(x, y));
+    }
+
+    // Get the letter at a grid cell
+    function getLetter(grid, x, y) {
+        const cell = grid.get(cellKey(x, y));
+        return cell ? cell.letter : null;
+    }
+
+    // Determine if a grid cell belongs to the seed
+    function isSeedCell(grid, x, y) {
+        const cell = grid.get(cellKey(x, y));
+        return cell ? cell.isSeed : false;
+    }
+
+    // Count orthogonally adjacent letters around a cell
+    function countAdjacentLetters(grid, x, y) {
+        let count = 0;
+        if (hasLetter(grid, x, y - 1)) count++;
+        if (hasLetter(grid, x, y + 1)) count++;
+        if (hasLetter(grid, x - 1, y)) count++;
+        if (hasLetter(grid, x + 1, y)) count++;
+        return count;
+    }
+
+    // Check if a cell touches any existing letter
+    function isAdjacentToLetter(grid, x, y) {
+        return countAdjacentLetters(grid, x, y) > 0;
+    }
+
+    // Prevent placements too close to the bottom seed edges
+    function isBlockedBySeed(seed, x, y) {
+        if (!seed) return false;
+        const seedStartY = getSeedStartY(seed);
+
+        if (y >= seedStartY && y < seedStartY + seed.length && y === PLAYABLE_HEIGHT) {
+            if (x === SEED_X - 1 || x === SEED_X + 1) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Validate whether a new letter can be placed at a cell
+    function isValidPlacement(grid, seed, x, y) {
+        if (!isInBounds(x, y)) return false;
+        if (hasLetter(grid, x, y)) return false;
+        if (countAdjacentLetters(grid, x, y) !== 1) return false;
+        if (isBlockedBySeed(seed, x, y)) return false;
+        return true;
+    }
+
+    // Check if a non-seed letter cell can be edited
+    function isEditableCell(grid, x, y) {
+        return isInBounds(x, y) && hasLetter(grid, x, y) && !isSeedCell(grid, x, y);
+    }
+
+    // Find keys of letters that are not connected to the seed
+    function findDisconnectedLetters(grid, seed) {
+        const seedCells = getSeedCells(seed);
+
+        const connected = new Set();
+        const queue = [...seedCells];
+        let queueIndex = 0;
+
+        for (const cell of seedCells) {
+            connected.add(cellKey(cell.x, cell.y));
+        }
+
+        while (queueIndex < queue.length) {
+            const { x, y } = queue[queueIndex++];
+
+            const neighbors = [
+                { x: x, y: y - 1 },
+                { x: x, y: y + 1 },
+                { x: x - 1, y: y },
+                { x: x + 1, y: y }
+            ];
+
+            for (const neighbor of neighbors) {
+                const key = cellKey(neighbor.x, neighbor.y);
+
+                if (hasLetter(grid, neighbor.x, neighbor.y) && !connected.has(key)) {
+                    connected.add(key);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        const disconnected = [];
+        for (const key of grid.keys()) {
+            if (!connected.has(key)) {
+                disconnected.push(key);
+            }
+        }
+        return disconnected;
+    }
+
+    // Remove letters not connected to the seed, returning the removed keys
+    function pruneDisconnectedLetters(grid, seed) {
+        const toRemove = findDisconnectedLetters(grid, seed);
+
+        for (const key of toRemove) {
+            grid.delete(key);
+        }
+
+        return toRemove;
+    }
+
+    // Get the word and its cells starting from a position and direction
+    function getWordAt(grid, x, y, direction) {
+        if (!hasLetter(grid, x, y)) return null;
+
+        let startX = x, startY = y;
+
+        if (direction === 'horizontal') {
+            while (hasLetter(grid, startX - 1, startY)) startX--;
+        } else {
+            while (hasLetter(grid, startX, startY - 1)) startY--;
+        }
+
+        let word = '';
+        const cells = [];
+        let cx = startX, cy = startY;
+
+        while (hasLetter(grid, cx, cy)) {
+            word += getLetter(grid, cx, cy);
+            cells.push({ x: cx, y: cy });
+            if (direction === 'horizontal') cx++;
+            else cy++;
+        }
+
+        return { word, cells };
+    }
+
+    // Determine if a cell should be blooming, given a word validity check
+    function calculateBlooming(grid, x, y, isValidWord) {
+        if (!hasLetter(grid, x, y)) return false;
+        if (isSeedCell(grid, x, y)) return true;
+
+        const hWord = getWordAt(grid, x, y, 'horizontal');
+        if (hWord && isValidWord(hWord.word)) return true;
+
+        const vWord = getWordAt(grid, x, y, 'vertical');
+        if (vWord && isValidWord(vWord.word)) return true;
+
+        return false;
+    }
+
+    // Gather cells and words affected by a change at a cell
+    function getAffectedCells(grid, x, y) {
+        const affectedCells = new Set();
+        const allWords = [];
+        const seenWords = new Set();
+
+        // Track a run's cells and remember its word once
+        function addRun(run) {
+            if (!run) return;
+            for (const cell of run.cells) {
+                affectedCells.add(cellKey(cell.x, cell.y));
+            }
+            if (!seenWords.has(run.word)) {
+                seenWords.add(run.word);
+                allWords.push(run);
+            }
+        }
+
+        if (hasLetter(grid, x, y)) {
+            affectedCells.add(cellKey(x, y));
+        }
+
+        addRun(getWordAt(grid, x, y, 'horizontal'));
+        addRun(getWordAt(grid, x, y, 'vertical'));
+
+        const neighbors = [
+            { x: x - 1, y }, { x: x + 1, y },
+            { x, y: y - 1 }, { x, y: y + 1 }
+        ];
+        for (const n of neighbors) {
+            if (hasLetter(grid, n.x, n.y)) {
+                addRun(getWordAt(grid, n.x, n.y, 'horizontal'));
+                addRun(getWordAt(grid, n.x, n.y, 'vertical'));
+            }
+        }
+
+        return { affectedCells, allWords };
+    }
+
+    // Collect the valid words formed by complete horizontal and vertical runs
+    function getWordsOnGrid(grid, isValidWord) {
+        const words = new Set();
+
+        for (const { x, y } of grid.values()) {
+            if (!hasLetter(grid, x - 1, y)) {
+                const hWord = getWordAt(grid, x, y, 'horizontal');
+                if (isValidWord(hWord.word)) words.add(hWord.word.toUpperCase());
+            }
+            if (!hasLetter(grid, x, y - 1)) {
+                const vWord = getWordAt(grid, x, y, 'vertical');
+                if (isValidWord(vWord.word)) words.add(vWord.word.toUpperCase());
+            }
+        }
+
+        return words;
+    }
+
+    // Cells of every complete horizontal or vertical run that spells a word
+    function getWordCells(grid, word) {
+        const target = word.toUpperCase();
+        const cells = [];
+
+        for (const { x, y } of grid.values()) {
+            if (!hasLetter(grid, x - 1, y)) {
+                const hWord = getWordAt(grid, x, y, 'horizontal');
+                if (hWord.word.toUpperCase() === target) cells.push(...hWord.cells);
+            }
+            if (!hasLetter(grid, x, y - 1)) {
+                const vWord = getWordAt(grid, x, y, 'vertical');
+                if (vWord.word.toUpperCase() === target) cells.push(...vWord.cells);
+            }
+        }
+
+        return cells;
+    }
+
+    // Verify a word can fit within bounds without blocking seeds
+    function canWordFit(grid, seed, startX, startY, word, direction) {
+        const isHorizontal = direction === 'horizontal';
+        const len = word.length;
+
+        if (isHorizontal) {
+            if (startX < 0 || startX + len > GRID_WIDTH) return false;
+            if (startY < 0 || startY >= PLAYABLE_HEIGHT) return false;
+        } else {
+            if (startX < 0 || startX >= GRID_WIDTH) return false;
+            if (startY < 0 || startY + len > PLAYABLE_HEIGHT) return false;
+        }
+
+        for (let i = 0; i < len; i++) {
+            const cx = isHorizontal ? startX + i : startX;
+            const cy = isHorizontal ? startY : startY + i;
+
+            if (isBlockedBySeed(seed, cx, cy)) return false;
+
+            if (hasLetter(grid, cx, cy)) {
+                if (getLetter(grid, cx, cy) !== word[i]) return false;
+            }
+        }
+
+        return true;
+    }
+
+    // Enforce perpendicular adjacency rules for a placement
+    function validateWordPlacement(grid, startX, startY, word, direction) {
+        const isHorizontal = direction === 'horizontal';
+        const len = word.length;
+
+        if (isHorizontal) {
+            if (startX > 0 && hasLetter(grid, startX - 1, startY)) return false;
+            if (startX + len < GRID_WIDTH && hasLetter(grid, startX + len, startY)) return false;
+        } else {
+            if (startY > 0 && hasLetter(grid, startX, startY - 1)) return false;
+            if (startY + len < PLAYABLE_HEIGHT && hasLetter(grid, startX, startY + len)) return false;
+        }
+
+        for (let i = 0; i < len; i++) {
+            const cx = isHorizontal ? startX + i : startX;
+            const cy = isHorizontal ? startY : startY + i;
+
+            if (hasLetter(grid, cx, cy)) continue;
+
+            const perpNeighbors = isHorizontal
+                ? [{ x: cx, y: cy - 1 }, { x: cx, y: cy + 1 }]
+                : [{ x: cx - 1, y: cy }, { x: cx + 1, y: cy }];
+
+            let perpCount = 0;
+            for (const n of perpNeighbors) {
+                if (hasLetter(grid, n.x, n.y)) perpCount++;
+            }
+
+            if (perpCount > 0) return false;
+        }
+
+        return true;
+    }
+
+    return {
+        GRID_WIDTH,
+        GRID_HEIGHT,
+        SEED_X,
+        PLAYABLE_HEIGHT,
+        cellKey,
+        getSeedStartY,
+        getSeedCells,
+        isInBounds,
+        hasLetter,
+        getLetter,
+        isSeedCell,
+        countAdjacentLetters,
+        isAdjacentToLetter,
+        isBlockedBySeed,
+        isValidPlacement,
+        isEditableCell,
+        findDisconnectedLetters,
+        pruneDisconnectedLetters,
+        getWordAt,
+        calculateBlooming,
+        getAffectedCells,
+        getWordsOnGrid,
+        getWordCells,
+        canWordFit,
+        validateWordPlacement,
+    };
+});
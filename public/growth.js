@@ -43,7 +43,7 @@ async function loadGrowthDictionary() {
     try {
         const response = await fetch('/words/shortlist.txt');
         const text = await response.text();
-        const words = text.split('\n').map(w => w.trim().toUpperCase()).filter(w => w.length > 3);
+        const words = text.split('\n').map(w => w.trim().toUpperCase()).filter(w => w.length > 3 && !blockedWords.has(w));
         growthWords = new Set(words);
         growthWordsLoaded = true;
     } catch (error) {
@@ -752,7 +752,7 @@ function placeNextLetter() {
     const cell = grid.get(key);
     animateCellAppear(x, y, cell.blooming);
 
-    emitTile(x, y, letter, cell.blooming);
+    emitTile(x, y, letter, cell.blooming, 'auto-growth');
 
     syncBloomingStates(x, y);
 
@@ -817,63 +817,12 @@ function getGrowthStartPositions() {
 
 // Verify a word can fit within bounds without blocking seeds
 function canWordFit(startX, startY, word, direction) {
-    const isHorizontal = direction === 'horizontal';
-    const len = word.length;
-
-    if (isHorizontal) {
-        if (startX < 0 || startX + len > GRID_WIDTH) return false;
-        if (startY < 0 || startY >= GRID_HEIGHT - 3) return false;
-    } else {
-        if (startX < 0 || startX >= GRID_WIDTH) return false;
-        if (startY < 0 || startY + len > GRID_HEIGHT - 3) return false;
-    }
-
-    for (let i = 0; i < len; i++) {
-        const cx = isHorizontal ? startX + i : startX;
-        const cy = isHorizontal ? startY : startY + i;
-
-        if (isBlockedBySeed(cx, cy)) return false;
-
-        if (hasLetter(cx, cy)) {
-            if (getLetter(cx, cy) !== word[i]) return false;
-        }
-    }
-
-    return true;
+    return GridRules.canWordFit(grid, getCurrentSeed(), startX, startY, word, direction);
 }
 
 // Enforce perpendicular adjacency rules for a placement
 function validateWordPlacement(startX, startY, word, direction) {
-    const isHorizontal = direction === 'horizontal';
-    const len = word.length;
-
-    if (isHorizontal) {
-        if (startX > 0 && hasLetter(startX - 1, startY)) return false;
-        if (startX + len < GRID_WIDTH && hasLetter(startX + len, startY)) return false;
-    } else {
-        if (startY > 0 && hasLetter(startX, startY - 1)) return false;
-        if (startY + len < GRID_HEIGHT - 3 && hasLetter(startX, startY + len)) return false;
-    }
-
-    for (let i = 0; i < len; i++) {
-        const cx = isHorizontal ? startX + i : startX;
-        const cy = isHorizontal ? startY : startY + i;
-
-        if (hasLetter(cx, cy)) continue;
-
-        const perpNeighbors = isHorizontal
-            ? [{ x: cx, y: cy - 1 }, { x: cx, y: cy + 1 }]
-            : [{ x: cx - 1, y: cy }, { x: cx + 1, y: cy }];
-
-        let perpCount = 0;
-        for (const n of perpNeighbors) {
-            if (hasLetter(n.x, n.y)) perpCount++;
-        }
-
-        if (perpCount > 0) return false;
-    }
-
-    return true;
+    return GridRules.validateWordPlacement(grid, startX, startY, word, direction);
 }
 
 // Shuffle an array in place
@@ -19,7 +19,7 @@ appleImage.onload = () => {
 const MINIMAP_PIXEL_SIZE = 3;
 
 const MAX_CELL_SIZE = 52;
-const GRID_HEIGHT = 49;
+const GRID_HEIGHT = GridRules.GRID_HEIGHT;
 const SIGN_PADDING_CELLS = 1;
 
 const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
@@ -628,6 +628,46 @@ canvas.addEventListener('touchend', (e) => {
 });
 
 
+// Recompute positions after a plant's sign or presence changes
+function relayoutPlants() {
+    calculatePlantLayouts();
+    clampCamera();
+    updateMinimapSize();
+}
+
+// Redraw a plant's sign under its owner's new username
+function renamePlant({ oldUsername, username }) {
+    const plant = plantsByUsername.get(oldUsername);
+    if (!plant) return;
+
+    plantsByUsername.delete(oldUsername);
+    plant.username = username;
+    plantsByUsername.set(username, plant);
+    relayoutPlants();
+}
+
+// Take a deleted account's plant out of the orchard
+function removePlant({ username }) {
+    const plant = plantsByUsername.get(username);
+    if (!plant) return;
+
+    plants.splice(plants.indexOf(plant), 1);
+    plantsByUsername.delete(username);
+    relayoutPlants();
+}
+
+// Show a plant that joined the gallery at the end of the orchard
+function addPlant({ username, tiles, bounds }) {
+    if (plantsByUsername.has(username)) return;
+
+    const plant = { username, tiles, bounds };
+    plants.push(plant);
+    plantsByUsername.set(username, plant);
+    maxBoundsWidth = Math.max(maxBoundsWidth, bounds.width);
+    maxBoundsHeight = Math.max(maxBoundsHeight, bounds.height);
+    relayoutPlants();
+}
+
 // Initialize plants data and start render loop
 function init() {
     const plantsData = window.PLANTS_DATA;
@@ -655,6 +695,12 @@ function init() {
     resize();
     initMinimap();
 
+    // Live gallery updates
+    onSocketEvent('plantRenamed', renamePlant);
+    onSocketEvent('plantRemoved', removePlant);
+    onSocketEvent('plantAdded', addPlant);
+    connectSocket(null, 'home');
+
     draw();
 }
 
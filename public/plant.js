@@ -65,10 +65,22 @@ const SEED_INPUT_LENGTH = 8;
 const SEED_MIN_LENGTH = 5;
 const SEED_MAX_LENGTH = 8;
 
+// Hint text for seed words the server rejected
+const SEED_ERROR_HINTS = {
+    SEED_LENGTH: '5 TO 8 LETTERS',
+    SEED_NOT_LETTERS: 'LETTERS ONLY',
+    SEED_NOT_A_WORD: 'NOT A VALID WORD',
+    BLOCKED_WORD: 'WORD NOT ALLOWED',
+    SEED_ALREADY_SET: 'ALREADY PLANTED',
+};
+
 let seedInputLetters = Array(SEED_INPUT_LENGTH).fill('');
 let seedInputSelected = 0;
 let seedInputHovered = -1;
 
+// Last server rejection, kept until the word is changed
+let seedInputError = null;
+
 const seedInputAnims = new Map();
 
 // Create animation state for a seed input cell
@@ -94,13 +106,15 @@ function stringToVerticalLetters(str) {
 }
 
 // Update the seed input hint text and blooming style
-function updateSeedInputHint(word, isValidWord, isBlooming) {
+function updateSeedInputHint(word, isValidWord, isBlooming, errorCode = null) {
     const hintEl = document.getElementById('seed-hint');
     if (!hintEl) return;
 
     let hintText = '';
 
-    if (word.length === 0) {
+    if (errorCode) {
+        hintText = SEED_ERROR_HINTS[errorCode] || 'TRY AGAIN';
+    } else if (word.length === 0) {
         hintText = '5 TO 8 LETTERS';
     } else if (hasGapsInMiddle()) {
         hintText = 'NO GAPS ALLOWED';
@@ -186,7 +200,13 @@ function isSeedInputValid() {
     const word = getSeedInputWord();
     return word.length >= SEED_MIN_LENGTH &&
         word.length <= SEED_MAX_LENGTH &&
-        validWords.has(word);
+        validWords.has(word) &&
+        getSeedErrorCode(word) === null;
+}
+
+// Server error code for the current seed word, if the server rejected it
+function getSeedErrorCode(word) {
+    return seedInputError && seedInputError.word === word ? seedInputError.code : null;
 }
 
 // Check whether the seed input length is within bounds
@@ -293,17 +313,23 @@ function updateSeedInputBloomingStates() {
 }
 
 let validWords = new Set();
+let blockedWords = new Set();
 let plantWords = new Set();
 let pendingWordsToAdd = new Set();
 let pendingWordsToRemove = new Set();
 let syncTimeout = null;
 
-// Load the full dictionary for seed validation
+// Load the full dictionary for seed validation, without blocked words
 async function loadDictionary() {
     try {
-        const response = await fetch('/words/all.txt');
+        const [response, blockedResponse] = await Promise.all([
+            fetch('/words/all.txt'),
+            fetch('/words/blocked.txt')
+        ]);
         const text = await response.text();
-        const words = text.split('\n').map(w => w.trim().toUpperCase()).filter(w => w.length > 2);
+        const blockedText = await blockedResponse.text();
+        blockedWords = new Set(blockedText.split('\n').map(w => w.trim()).filter(w => w.length > 0));
+        const words = text.split('\n').map(w => w.trim().toUpperCase()).filter(w => w.length > 2 && !blockedWords.has(w));
         validWords = new Set(words);
     } catch (error) {
         console.error('Failed to load dictionary:', error);
@@ -311,8 +337,7 @@ async function loadDictionary() {
 }
 
 const CELL_SIZE = 52;
-const GRID_WIDTH = 49;
-const GRID_HEIGHT = 49;
+const { GRID_WIDTH, GRID_HEIGHT } = GridRules;
 
 const COLORS = {
     background: '#FFFFFF',
@@ -368,6 +393,7 @@ function drawSeedInputScreen() {
     const word = getSeedInputWord();
     const isValidWord = validWords.has(word);
     const isBlooming = isSeedInputValid();
+    const errorCode = getSeedErrorCode(word);
 
     ctx.fillStyle = COLORS.secondary;
     for (let col = -1; col <= 1; col++) {
@@ -393,7 +419,7 @@ function drawSeedInputScreen() {
         }
     }
 
-    updateSeedInputHint(word, isValidWord, isBlooming);
+    updateSeedInputHint(word, isValidWord, isBlooming, errorCode);
 
     for (let i = 0; i < SEED_INPUT_LENGTH; i++) {
         const x = startX;
@@ -1009,13 +1035,23 @@ function lerpColor(colorA, colorB, t) {
 let selectedCell = null;
 let hoveredCell = null;
 
+// While set, taps on the plant go here instead of selecting cells (used to pick tiles to report)
+let cellTapHandler = null;
+// Tiles outlined for the reader, such as the ones picked for a report
+const markedCells = new Set();
+
 let isPanning = false;
 let lastMousePos = { x: 0, y: 0 };
 let mouseDownPos = { x: 0, y: 0 };
 
 const SEED_WORD = "seed";
-const SEED_X = Math.floor(GRID_WIDTH / 2);
-const SEED_START_Y = GRID_HEIGHT - SEED_WORD.length;
+const SEED_X = GridRules.SEED_X;
+const SEED_START_Y = GridRules.getSeedStartY(SEED_WORD);
+
+// Get the seed word of the current plant (placeholder seed before one is chosen)
+function getCurrentSeed() {
+    return window.PLANT_DATA?.seed || SEED_WORD;
+}
 
 // Load tiles into the grid (server data or default seed)
 function initTiles() {
@@ -1095,68 +1131,47 @@ function clampCamera() {
 
 // Check if coordinates are inside the playable grid
 function isInBounds(x, y) {
-    return x >= 0 && x < GRID_WIDTH && y >= 0 && y < GRID_HEIGHT - 3;
+    return GridRules.isInBounds(x, y);
 }
 
 // Check whether a letter exists at a grid cell
 function hasLetter(x, y) {
-    return grid.has(`${x},${y}`);
+    return GridRules.hasLetter(grid, x, y);
 }
 
 // Get the letter at a grid cell
 function getLetter(x, y) {
-    const cell = grid.get(`${x},${y}`);
-    return cell ? cell.letter : null;
+    return GridRules.getLetter(grid, x, y);
 }
 
 // Determine if a grid cell belongs to the seed
 function isSeedCell(x, y) {
-    const cell = grid.get(`${x},${y}`);
-    return cell ? cell.isSeed : false;
+    return GridRules.isSeedCell(grid, x, y);
 }
 
 // Count orthogonally adjacent letters around a cell
 function countAdjacentLetters(x, y) {
-    let count = 0;
-    if (hasLetter(x, y - 1)) count++;
-    if (hasLetter(x, y + 1)) count++;
-    if (hasLetter(x - 1, y)) count++;
-    if (hasLetter(x + 1, y)) count++;
-    return count;
+    return GridRules.countAdjacentLetters(grid, x, y);
 }
 
 // Check if a cell touches any existing letter
 function isAdjacentToLetter(x, y) {
-    return countAdjacentLetters(x, y) > 0;
+    return GridRules.isAdjacentToLetter(grid, x, y);
 }
 
 // Prevent placements too close to the bottom seed edges
 function isBlockedBySeed(x, y) {
-    const actualSeed = window.PLANT_DATA?.seed || SEED_WORD;
-    const seedLength = actualSeed.length;
-    const seedX = Math.floor(GRID_WIDTH / 2);
-    const seedStartY = GRID_HEIGHT - seedLength;
-
-    if (y >= seedStartY && y < seedStartY + seedLength && y === GRID_HEIGHT - 3) {
-        if (x === seedX - 1 || x === seedX + 1) {
-            return true;
-        }
-    }
-    return false;
+    return GridRules.isBlockedBySeed(getCurrentSeed(), x, y);
 }
 
 // Validate whether a new letter can be placed at a cell
 function isValidPlacement(x, y) {
-    if (!isInBounds(x, y)) return false;
-    if (hasLetter(x, y)) return false;
-    if (countAdjacentLetters(x, y) !== 1) return false;
-    if (isBlockedBySeed(x, y)) return false;
-    return true;
+    return GridRules.isValidPlacement(grid, getCurrentSeed(), x, y);
 }
 
 // Check if a non-seed letter cell can be edited
 function isEditableCell(x, y) {
-    return isInBounds(x, y) && hasLetter(x, y) && !isSeedCell(x, y);
+    return GridRules.isEditableCell(grid, x, y);
 }
 
 // Determine if a cell is placeable or editable
@@ -1166,88 +1181,19 @@ function isInteractable(x, y) {
 
 // Remove letters not connected to the seed
 function pruneDisconnectedLetters() {
-    const actualSeed = window.PLANT_DATA?.seed || SEED_WORD;
-    const seedLength = actualSeed.length;
-    const seedX = Math.floor(GRID_WIDTH / 2);
-    const seedStartY = GRID_HEIGHT - seedLength;
-
-    const seedCells = [];
-    for (let i = 0; i < seedLength; i++) {
-        seedCells.push({ x: seedX, y: seedStartY + i });
-    }
-
-    const connected = new Set();
-    const queue = [...seedCells];
-    let queueIndex = 0;
-
-    for (const cell of seedCells) {
-        connected.add(`${cell.x},${cell.y}`);
-    }
-
-    while (queueIndex < queue.length) {
-        const { x, y } = queue[queueIndex++];
-
-        const neighbors = [
-            { x: x, y: y - 1 },
-            { x: x, y: y + 1 },
-            { x: x - 1, y: y },
-            { x: x + 1, y: y }
-        ];
-
-        for (const neighbor of neighbors) {
-            const key = `${neighbor.x},${neighbor.y}`;
-
-            if (hasLetter(neighbor.x, neighbor.y) && !connected.has(key)) {
-                connected.add(key);
-                queue.push(neighbor);
-            }
-        }
-    }
-
-    const toRemove = [];
-    for (const key of grid.keys()) {
-        if (!connected.has(key)) {
-            toRemove.push(key);
-        }
-    }
-
-    for (const key of toRemove) {
-        grid.delete(key);
-    }
-
-    return toRemove.length;
+    return GridRules.pruneDisconnectedLetters(grid, getCurrentSeed()).length;
 }
 
 // Get the word and its cells starting from a position and direction
 function getWordAt(x, y, direction) {
-    if (!hasLetter(x, y)) return null;
-
-    let startX = x, startY = y;
-
-    if (direction === 'horizontal') {
-        while (hasLetter(startX - 1, startY)) startX--;
-    } else {
-        while (hasLetter(startX, startY - 1)) startY--;
-    }
-
-    let word = '';
-    let cells = [];
-    let cx = startX, cy = startY;
-
-    while (hasLetter(cx, cy)) {
-        word += getLetter(cx, cy);
-        cells.push({ x: cx, y: cy });
-        if (direction === 'horizontal') cx++;
-        else cy++;
-    }
-
-    return { word, cells };
+    return GridRules.getWordAt(grid, x, y, direction);
 }
 
 // Check if a word is valid in any dictionary
 function isValidWord(word) {
     if (!word || word.length < 2) return false;
     const upperWord = word.toUpperCase();
+    if (blockedWords.has(upperWord)) return false;
     return validWords.has(upperWord) || plantWords.has(upperWord);
 }
 
@@ -1372,16 +1318,7 @@ function removeDeletedWords(wordsToCheck) {
 
 // Determine whether a cell should be blooming
 function calculateBlooming(x, y) {
-    if (!hasLetter(x, y)) return false;
-    if (isSeedCell(x, y)) return true;
-
-    const hWord = getWordAt(x, y, 'horizontal');
-    if (hWord && isValidWord(hWord.word)) return true;
-
-    const vWord = getWordAt(x, y, 'vertical');
-    if (vWord && isValidWord(vWord.word)) return true;
-
-    return false;
+    return GridRules.calculateBlooming(grid, x, y, isValidWord);
 }
 
 // Return bloom status for a cell (seed/blooming/none)
@@ -1394,62 +1331,7 @@ function isBlooming(x, y) {
 
 // Gather cells and words affected by a placement change
 function getAffectedCells(x, y) {
-    const affectedCells = new Set();
-    const allWords = [];
-    const seenWords = new Set();
-
-    if (hasLetter(x, y)) {
-        affectedCells.add(`${x},${y}`);
-    }
-
-    const hWord = getWordAt(x, y, 'horizontal');
-    if (hWord) {
-        for (const cell of hWord.cells) {
-            affectedCells.add(`${cell.x},${cell.y}`);
-        }
-        if (!seenWords.has(hWord.word)) {
-            seenWords.add(hWord.word);
-            allWords.push(hWord);
-        }
-    }
-
-    const vWord = getWordAt(x, y, 'vertical');
-    if (vWord) {
-        for (const cell of vWord.cells) {
-            affectedCells.add(`${cell.x},${cell.y}`);
-        }
-        if (!seenWords.has(vWord.word)) {
-            seenWords.add(vWord.word);
-            allWords.push(vWord);
-        }
-    }
-
-    const neighbors = [
-        { x: x - 1, y }, { x: x + 1, y },
-        { x, y: y - 1 }, { x, y: y + 1 }
-    ];
-    for (const n of neighbors) {
-        if (hasLetter(n.x, n.y)) {
-            const nh = getWordAt(n.x, n.y, 'horizontal');
-            if (nh) {
-                for (const cell of nh.cells) affectedCells.add(`${cell.x},${cell.y}`);
-                if (!seenWords.has(nh.word)) {
-                    seenWords.add(nh.word);
-                    allWords.push(nh);
-                }
-            }
-            const nv = getWordAt(n.x, n.y, 'vertical');
-            if (nv) {
-                for (const cell of nv.cells) affectedCells.add(`${cell.x},${cell.y}`);
-                if (!seenWords.has(nv.word)) {
-                    seenWords.add(nv.word);
-                    allWords.push(nv);
-                }
-            }
-        }
-    }
-
-    return { affectedCells, allWords };
+    return GridRules.getAffectedCells(grid, x, y);
 }
 
 // Recompute blooming states and animate changes
@@ -1683,6 +1565,13 @@ function drawCellContent(x, y) {
             );
         }
 
+        if (cellData && markedCells.has(key)) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = COLORS.withering.primary;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(screenPos.x + 3.5, screenPos.y + 3.5, CELL_SIZE - 7, CELL_SIZE - 7);
+        }
+
         ctx.restore();
     } else if (!isDisappearing) {
         const validPlacement = isValidPlacement(x, y);
@@ -1768,7 +1657,9 @@ canvas.addEventListener('mouseup', (e) => {
         }
 
         if (!isPanning) {
-            if (window.PLANT_DATA.canEdit) {
+            if (cellTapHandler) {
+                cellTapHandler(screenToGrid(e.clientX, e.clientY));
+            } else if (window.PLANT_DATA.canEdit) {
                 const gridPos = screenToGrid(e.clientX, e.clientY);
 
                 if (isInteractable(gridPos.x, gridPos.y)) {
@@ -1801,16 +1692,134 @@ canvas.addEventListener('mouseleave', () => {
     hoveredCell = null;
 });
 
+const MAX_HISTORY = 100;
+
+// Manual edits made in this session; each entry is a list of { x, y, before, after }
+const undoStack = [];
+const redoStack = [];
+let pendingHistory = null;
+
+// Remember a manual edit so it can be undone
+function recordEdit(cells) {
+    undoStack.push(cells);
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+}
+
+// Manual edits sent to the server but not yet acknowledged, oldest first per tile and type
+const pendingEdits = new Map();
+
+// Hold a sent edit until the server answers; cells is null when there is nothing to undo
+function trackEdit(type, x, y, cells) {
+    const key = `${type}:${x},${y}`;
+    if (!pendingEdits.has(key)) {
+        pendingEdits.set(key, []);
+    }
+    pendingEdits.get(key).push(cells);
+}
+
+// Make an edit undoable once the server accepts it; rejected edits never happened
+function handleEditAck(data) {
+    const key = `${data.type}:${data.x},${data.y}`;
+    const queue = pendingEdits.get(key);
+    if (!queue) return;
+
+    const cells = queue.shift();
+    if (queue.length === 0) {
+        pendingEdits.delete(key);
+    }
+    if (data.success && cells) {
+        // The server decides what a delete cut off, so undo restores exactly those tiles
+        const cutOff = (data.disconnected ?? []).map(({ x, y, letter }) => ({ x, y, before: letter, after: null }));
+        recordEdit([...cells, ...cutOff]);
+    }
+}
+
+// Edits in flight when the connection drops may or may not have landed, so none are kept
+function clearPendingHistory() {
+    pendingEdits.clear();
+    pendingHistory = null;
+}
+
+// Send a reversal to the server; the grid updates when the server broadcasts it
+function sendHistory(action, cells, payload) {
+    if (!emitHistory(action, payload)) {
+        (action === 'undo' ? undoStack : redoStack).push(cells);
+        return;
+    }
+    pendingHistory = { action, cells };
+}
+
+// Undo the most recent edit
+function undoEdit() {
+    if (pendingHistory || undoStack.length === 0) return;
+    const cells = undoStack.pop();
+    sendHistory('undo', cells, cells.map(c => ({ x: c.x, y: c.y, from: c.after, to: c.before })));
+}
+
+// Redo the most recently undone edit
+function redoEdit() {
+    if (pendingHistory || redoStack.length === 0) return;
+    const cells = redoStack.pop();
+    sendHistory('redo', cells, cells.map(c => ({ x: c.x, y: c.y, from: c.before, to: c.after })));
+}
+
+// Failures that say nothing about the edit itself, so it can be tried again later
+const RETRYABLE_HISTORY_CODES = new Set(['RATE_LIMITED', 'LOAD_FAILED', 'RESTORE_FAILED']);
+
+// Move an accepted edit to the opposite stack; rejected ones no longer apply and are dropped
+function handleHistoryAck(data) {
+    if (!pendingHistory || pendingHistory.action !== data.action) return;
+
+    const { action, cells } = pendingHistory;
+    pendingHistory = null;
+    if (!data.success) {
+        if (RETRYABLE_HISTORY_CODES.has(data.code)) {
+            (action === 'undo' ? undoStack : redoStack).push(cells);
+        }
+        return;
+    }
+
+    // Tiles the server pruned because this cut them off go back with the opposite action
+    const pruned = (data.pruned ?? []).map(({ x, y, letter }) => (action === 'undo'
+        ? { x, y, before: null, after: letter }
+        : { x, y, before: letter, after: null }));
+
+    (action === 'undo' ? redoStack : undoStack).push([...cells, ...pruned]);
+}
+
+// Whether a key press belongs to a text field on the page rather than the plant
+function isTypingInField(e) {
+    const target = e.target;
+    if (target === hiddenInput || !(target instanceof HTMLElement)) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
 document.addEventListener('keydown', (e) => {
     if (seedTransitionActive) return;
 
     if (!window.PLANT_DATA.canEdit) return;
 
+    if (isTypingInField(e)) return;
+
     if (seedInputMode) {
         handleSeedInputKeyboard(e);
         return;
     }
 
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z redoes
+    if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoEdit();
+        } else {
+            undoEdit();
+        }
+        return;
+    }
+
     if (!selectedCell) return;
 
     if (e.metaKey || e.ctrlKey || e.altKey) return;
@@ -1838,6 +1847,8 @@ document.addEventListener('keydown', (e) => {
                 }
             }
 
+            const previousLetter = getLetter(x, y);
+
             grid.set(key, { x, y, letter, isSeed: false, blooming: false });
             updateBloomingStates(x, y);
 
@@ -1853,7 +1864,11 @@ document.addEventListener('keydown', (e) => {
                 removeDeletedWords(wordsBeforeEdit);
             }
 
-            emitTile(x, y, letter, cell.blooming);
+            if (emitTile(x, y, letter, cell.blooming)) {
+                trackEdit('tile', x, y, previousLetter !== letter
+                    ? [{ x, y, before: previousLetter, after: letter }]
+                    : null);
+            }
 
             syncBloomingStates(x, y);
         }
@@ -1937,7 +1952,9 @@ document.addEventListener('keydown', (e) => {
 
             removeDeletedWords(wordsBeforeDeletion);
 
-            emitDelete(x, y, disconnected.map(t => ({ x: t.x, y: t.y })));
+            if (emitDelete(x, y)) {
+                trackEdit('delete', x, y, [{ x, y, before: letterToDelete, after: null }]);
+            }
 
             syncBloomingStates(x, y);
 
@@ -2045,7 +2062,9 @@ canvas.addEventListener('touchend', (e) => {
         const dy = Math.abs(touch.clientY - touchStartPos.y);
 
         if (dx < 10 && dy < 10) {
-            if (window.PLANT_DATA.canEdit) {
+            if (cellTapHandler) {
+                cellTapHandler(screenToGrid(touch.clientX, touch.clientY));
+            } else if (window.PLANT_DATA.canEdit) {
                 const gridPos = screenToGrid(touch.clientX, touch.clientY);
 
                 if (isInteractable(gridPos.x, gridPos.y)) {
@@ -2087,7 +2106,14 @@ async function init() {
     await loadDictionary();
     resize();
 
-    const { username, isOwner, seed } = window.PLANT_DATA;
+    const { username, isOwner, seed, timelapse } = window.PLANT_DATA;
+
+    // Timelapse pages replay recorded history instead of connecting live
+    if (timelapse) {
+        initTimelapse(timelapse);
+        return;
+    }
+
     connectSocket(isOwner ? null : username);
 
     onSocketEvent('connected', (data) => {
@@ -2108,6 +2134,41 @@ async function init() {
         transitionToTreeMode(data);
     });
 
+    onSocketEvent('historyAck', handleHistoryAck);
+    onSocketEvent('editAck', handleEditAck);
+    onSocketEvent('disconnect', clearPendingHistory);
+
+    // The plant was replaced from a snapshot: start over from the restored state
+    onSocketEvent('plantRestored', () => {
+        window.location.reload();
+    });
+
+    // The owner changed their username: reload so links and the sign use the new name
+    onSocketEvent('plantRenamed', () => {
+        window.location.reload();
+    });
+
+    // An admin unlisted, hid, locked or restored the plant: reload to pick up who can edit
+    onSocketEvent('plantModerated', () => {
+        window.location.reload();
+    });
+
+    // The owner made the plant private: reload so visitors see it is gone
+    onSocketEvent('plantVisibility', () => {
+        window.location.reload();
+    });
+
+    // The owner deleted their account: there is nothing left to show
+    onSocketEvent('plantRemoved', () => {
+        window.location.href = '/';
+    });
+
+    // Show why the server rejected the seed until the word changes
+    onSocketEvent('seedError', (data) => {
+        seedInputError = { word: getSeedInputWord(), code: data.code };
+        updateSeedInputBloomingStates();
+    });
+
     onSocketEvent('wordsChanged', (data) => {
         if (data.removed) {
             for (const word of data.removed) {
@@ -2123,6 +2184,17 @@ async function init() {
 
     onSocketEvent('tile', (data) => {
         const key = `${data.x},${data.y}`;
+
+        // Server rolled back a rejected placement on an empty cell
+        if (!data.letter) {
+            const cell = grid.get(key);
+            if (cell) {
+                animateCellDisappear(data.x, data.y, cell.letter, cell.blooming);
+            }
+            grid.delete(key);
+            return;
+        }
+
         const isNew = !grid.has(key);
         grid.set(key, {
             x: data.x,
@@ -0,0 +1,52 @@
+const errorText = document.getElementById("error-text");
+
+// Track error text height to keep CSS variable in sync
+const resizeObserver = new ResizeObserver(entries => {
+    document.documentElement.style.setProperty('--error-text-height', errorText.scrollHeight + 'px');
+});
+resizeObserver.observe(document.documentElement);
+document.documentElement.style.setProperty('--error-text-height', errorText.scrollHeight + 'px');
+
+// Display an error message and expand the error banner
+function showError(message) {
+    errorText.textContent = message;
+    document.documentElement.style.setProperty('--error-text-height', errorText.scrollHeight + 'px');
+    document.body.classList.add("show-error");
+}
+
+const recoverButton = document.getElementById("recover-button");
+const usernameInput = document.getElementById("username-input");
+const codeInput = document.getElementById("code-input");
+
+// Sign in with a recovery code, then go add a new passkey
+recoverButton.addEventListener("click", async () => {
+    const username = usernameInput.value.trim().toLowerCase();
+    const code = codeInput.value.trim();
+    if (!username || !code) {
+        showError("Please enter your username and a recovery code");
+        return;
+    }
+
+    const response = await fetch("/recover/", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, code })
+    }).then(r => r.json());
+
+    if (response.error) {
+        showError(response.error);
+        return;
+    }
+    window.location.href = "/security/?recovered";
+});
+
+// Allow pressing Enter to submit
+for (const input of [usernameInput, codeInput]) {
+    input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+            recoverButton.click();
+        }
+
+        document.body.classList.remove("show-error");
+    });
+}
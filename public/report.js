@@ -0,0 +1,100 @@
+const reportButton = document.getElementById('report-button');
+const reportPanel = document.getElementById('report');
+const reportTarget = document.getElementById('report-target');
+const reportReason = document.getElementById('report-reason');
+const reportStatus = document.getElementById('report-status');
+const reportCancel = document.getElementById('report-cancel');
+const reportSend = document.getElementById('report-send');
+const reportPick = document.getElementById('report-pick');
+const reportPicker = document.getElementById('report-picker');
+const reportPickerCount = document.getElementById('report-picker-count');
+const reportPickerDone = document.getElementById('report-picker-done');
+
+// Most tiles one report can point at; the server holds the same limit
+const REPORT_MAX_CELLS = 24;
+
+// Describe how many tiles are picked so far
+function describePickedCells() {
+    return `${markedCells.size} of up to ${REPORT_MAX_CELLS} tiles picked`;
+}
+
+// Open the report panel with the plant's current words to pick from
+function openReport() {
+    reportTarget.length = 1;
+    for (const word of [...plantWords].sort()) {
+        reportTarget.add(new Option(word, word));
+    }
+    reportStatus.textContent = '';
+    reportPanel.classList.add('alert-on');
+    reportReason.focus();
+}
+
+// Close the report panel and let go of any picked tiles
+function closeReport() {
+    reportPanel.classList.remove('alert-on');
+    markedCells.clear();
+}
+
+// Pick or unpick a tile tapped on the plant
+function toggleReportCell({ x, y }) {
+    const key = `${x},${y}`;
+    if (markedCells.has(key)) {
+        markedCells.delete(key);
+    } else if (grid.has(key) && markedCells.size < REPORT_MAX_CELLS) {
+        markedCells.add(key);
+    }
+    reportPickerCount.textContent = describePickedCells();
+}
+
+// Hide the panel so the reporter can tap the tiles they mean
+function startPicking() {
+    reportTarget.value = '';
+    reportPanel.classList.remove('alert-on');
+    reportPicker.style.display = 'flex';
+    reportPickerCount.textContent = describePickedCells();
+    cellTapHandler = toggleReportCell;
+}
+
+// Go back to the panel with the picked tiles
+function stopPicking() {
+    cellTapHandler = null;
+    reportPicker.style.display = 'none';
+    reportStatus.textContent = describePickedCells();
+    reportPanel.classList.add('alert-on');
+}
+
+// Send the report for the picked word or tiles
+async function sendReport() {
+    const body = { reason: reportReason.value };
+    if (reportTarget.value) {
+        body.word = reportTarget.value;
+    } else if (markedCells.size > 0) {
+        body.cells = [...markedCells].map((key) => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y };
+        });
+    } else {
+        reportStatus.textContent = 'Pick a word or the tiles you are reporting';
+        return;
+    }
+
+    const response = await fetch(`/plant/${encodeURIComponent(window.PLANT_DATA.username)}/report/`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }).then(r => r.json());
+
+    if (response.error) {
+        reportStatus.textContent = response.error;
+        return;
+    }
+
+    reportReason.value = '';
+    closeReport();
+}
+
+reportButton.addEventListener('click', openReport);
+reportCancel.addEventListener('click', closeReport);
+reportSend.addEventListener('click', sendReport);
+reportPick.addEventListener('click', startPicking);
+reportPickerDone.addEventListener('click', stopPicking);
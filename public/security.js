@@ -0,0 +1,212 @@
+const addPasskeyButton = document.getElementById("add-passkey-button");
+const securityStatus = document.getElementById("security-status");
+
+// Show a message under the passkey list
+function showStatus(message) {
+    securityStatus.textContent = message;
+}
+
+// Register another passkey for the signed-in account
+async function addPasskey() {
+    const opts = await fetch("/security/passkey-request/", { method: "POST" })
+        .then(r => r.json());
+
+    if (opts.error) {
+        showStatus(opts.error);
+        return;
+    }
+
+    try {
+        const attResp = await SimpleWebAuthnBrowser.startRegistration({ optionsJSON: opts.options });
+        const response = await fetch("/security/passkey-response/", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ attestationResponse: attResp })
+        }).then(r => r.json());
+
+        if (response.error || !response.ok) {
+            showStatus(response.error || "Failed to add passkey");
+            return;
+        }
+        location.reload();
+    } catch (err) {
+        console.error(err);
+        // InvalidStateError means this device already holds one of the account's passkeys
+        showStatus(err.name === "InvalidStateError" ? "This device already has a passkey" : "Failed to add passkey");
+    }
+}
+
+// Remove a passkey after the confirmation alert
+async function removePasskey(passkeyId) {
+    hideAlert();
+    const response = await fetch(`/security/passkeys/${passkeyId}/`, { method: "DELETE" })
+        .then(r => r.json());
+
+    if (response.error) {
+        showStatus(response.error);
+        return;
+    }
+    location.reload();
+}
+
+addPasskeyButton.addEventListener("click", addPasskey);
+
+document.querySelectorAll("[data-passkey-id]").forEach(button => {
+    button.addEventListener("click", () => {
+        alertContentText.textContent = "Remove Passkey?";
+        alertButtonSecondary.textContent = "Cancel";
+        alertButtonPrimary.textContent = "Remove";
+        alertButtonSecondary.onclick = hideAlert;
+        alertButtonPrimary.onclick = () => removePasskey(button.dataset.passkeyId);
+        showAlert();
+    });
+});
+
+const recoveryCodesButton = document.getElementById("recovery-codes-button");
+const recoveryCodesList = document.getElementById("recovery-codes");
+
+// Replace the account's recovery codes and show the new ones once
+async function regenerateRecoveryCodes() {
+    hideAlert();
+    const response = await fetch("/security/recovery-codes/", { method: "POST" })
+        .then(r => r.json());
+
+    if (response.error) {
+        showStatus(response.error);
+        return;
+    }
+
+    recoveryCodesList.replaceChildren(...response.recoveryCodes.map(code => {
+        const item = document.createElement("li");
+        item.textContent = code;
+        return item;
+    }));
+    showStatus("Save these codes now. They won't be shown again.");
+}
+
+recoveryCodesButton.addEventListener("click", () => {
+    alertContentText.textContent = "Replace Recovery Codes?";
+    alertButtonSecondary.textContent = "Cancel";
+    alertButtonPrimary.textContent = "Replace";
+    alertButtonSecondary.onclick = hideAlert;
+    alertButtonPrimary.onclick = regenerateRecoveryCodes;
+    showAlert();
+});
+
+const signOutOthersButton = document.getElementById("sign-out-others-button");
+
+// Sign out everywhere except this browser
+async function signOutOtherSessions() {
+    hideAlert();
+    const response = await fetch("/security/sessions/sign-out-others/", { method: "POST" })
+        .then(r => r.json());
+
+    if (response.error) {
+        showStatus(response.error);
+        return;
+    }
+    location.reload();
+}
+
+if (signOutOthersButton) {
+    signOutOthersButton.addEventListener("click", () => {
+        alertContentText.textContent = "Sign Out Other Sessions?";
+        alertButtonSecondary.textContent = "Cancel";
+        alertButtonPrimary.textContent = "Sign Out";
+        alertButtonSecondary.onclick = hideAlert;
+        alertButtonPrimary.onclick = signOutOtherSessions;
+        showAlert();
+    });
+}
+
+const deleteAccountButton = document.getElementById("delete-account-button");
+
+// Confirm with a passkey, then delete the account and everything in it
+async function deleteAccount() {
+    hideAlert();
+    const opts = await fetch("/account/delete-request/", { method: "POST" })
+        .then(r => r.json());
+
+    if (opts.error) {
+        showStatus(opts.error);
+        return;
+    }
+
+    try {
+        const authResp = await SimpleWebAuthnBrowser.startAuthentication({ optionsJSON: opts.options });
+        const response = await fetch("/account/delete-response/", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ authenticationResponse: authResp })
+        }).then(r => r.json());
+
+        if (response.error || !response.ok) {
+            showStatus(response.error || "Failed to delete account");
+            return;
+        }
+        window.location.href = "/";
+    } catch (err) {
+        console.error(err);
+        showStatus("Passkey confirmation cancelled");
+    }
+}
+
+deleteAccountButton.addEventListener("click", () => {
+    alertContentText.textContent = "Delete Your Account And Plant Forever?";
+    alertButtonSecondary.textContent = "Cancel";
+    alertButtonPrimary.textContent = "Delete";
+    alertButtonSecondary.onclick = hideAlert;
+    alertButtonPrimary.onclick = deleteAccount;
+    showAlert();
+});
+
+const usernameInput = document.getElementById("username-input");
+const renameButton = document.getElementById("rename-button");
+
+// Change username, checking it with the signup rules first
+async function renameAccount() {
+    const result = UsernameRules.validateUsername(usernameInput.value);
+    if (result.code) {
+        showStatus(result.message);
+        return;
+    }
+
+    const response = await fetch("/account/username/", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username: result.username })
+    }).then(r => r.json());
+
+    if (response.error) {
+        showStatus(response.error);
+        return;
+    }
+    location.reload();
+}
+
+renameButton.addEventListener("click", renameAccount);
+
+usernameInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+        renameButton.click();
+    }
+});
+
+const visibilitySelect = document.getElementById("visibility-select");
+const visibilityButton = document.getElementById("visibility-button");
+
+// Choose who can find the plant
+async function saveVisibility() {
+    const response = await fetch("/account/visibility/", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ sharing: visibilitySelect.value })
+    }).then(r => r.json());
+
+    showStatus(response.error || "Plant visibility saved");
+}
+
+// The setting only shows once the account has a plant
+if (visibilityButton) {
+    visibilityButton.addEventListener("click", saveVisibility);
+}
@@ -24,8 +24,10 @@ async function signupWithPasskey(username) {
                 console.error(response.error);
                 showError(response.error);
                 return;
+            } else if (!response.ok) {
+                showError("Failed to register passkey");
             } else {
-                window.location.href = "/plant/";
+                showRecoveryCodes(response.recoveryCodes);
             }
         });
     } catch (err) {
@@ -51,6 +53,23 @@ function showError(message) {
     document.body.classList.add("show-error");
 }
 
+const recoveryCodesList = document.getElementById("recovery-codes");
+const recoveryCodesDoneButton = document.getElementById("recovery-codes-done-button");
+
+// Show the new account's recovery codes once before going to the plant
+function showRecoveryCodes(codes) {
+    recoveryCodesList.replaceChildren(...codes.map(code => {
+        const item = document.createElement("li");
+        item.textContent = code;
+        return item;
+    }));
+    document.body.classList.add("show-recovery-codes");
+}
+
+recoveryCodesDoneButton.addEventListener("click", () => {
+    window.location.href = "/plant/";
+});
+
 const usernameInput = document.getElementById("username-input");
 const signupButton = document.getElementById("signup-button");
 
@@ -59,7 +78,18 @@ usernameInput.addEventListener("keydown", (event) => {
         event.preventDefault();
         signupButton.click();
     }
-    document.body.classList.remove("show-error");
+});
+
+// Check the username as it's typed, with the same rules the server applies
+usernameInput.addEventListener("input", () => {
+    const result = UsernameRules.validateUsername(usernameInput.value);
+
+    // Don't complain about length until the name could be long enough
+    if (result.code && !(result.code === "USERNAME_LENGTH" && usernameInput.value.length < UsernameRules.USERNAME_MIN_LENGTH)) {
+        showError(result.message);
+    } else {
+        document.body.classList.remove("show-error");
+    }
 });
 
 signupButton.addEventListener("click", async () => {
@@ -67,6 +97,11 @@ signupButton.addEventListener("click", async () => {
         showError("PLEASE ENTER A USERNAME");
         return;
     }
-    const username = usernameInput.value.toLowerCase();
-    await signupWithPasskey(username);
+
+    const result = UsernameRules.validateUsername(usernameInput.value);
+    if (result.code) {
+        showError(result.message);
+        return;
+    }
+    await signupWithPasskey(result.username);
 });
@@ -0,0 +1,165 @@
+// Timelapse playback state
+const TIMELAPSE_FRAME_INTERVAL = 120;
+
+let timelapseFrames = [];
+let timelapsePosition = 0;
+let timelapseTimer = null;
+let timelapseLoading = false;
+
+const timelapsePlayButton = document.getElementById('timelapse-play');
+const timelapseScrub = document.getElementById('timelapse-scrub');
+
+// Group events saved together (same timestamp) into one playback frame, in the order they were written
+function appendTimelapseFrames(events) {
+    for (const event of events) {
+        const lastFrame = timelapseFrames[timelapseFrames.length - 1];
+        if (lastFrame && lastFrame.time === event.time) {
+            lastFrame.events.push(event);
+        } else {
+            timelapseFrames.push({ time: event.time, events: [event] });
+        }
+    }
+    timelapseScrub.max = timelapseFrames.length;
+}
+
+// Fetch the rest of a long history page by page while the replay plays
+async function loadTimelapsePages(next) {
+    timelapseLoading = true;
+    const url = `/plant/${encodeURIComponent(window.PLANT_DATA.username)}/timelapse/events.json`;
+    try {
+        while (next !== null) {
+            const page = await fetch(`${url}?after=${next}`).then(r => r.json());
+            if (page.error) {
+                console.error('Timelapse load failed:', page.error);
+                break;
+            }
+            appendTimelapseFrames(page.events);
+            next = page.next;
+        }
+    } finally {
+        timelapseLoading = false;
+    }
+}
+
+// Apply one recorded event to the grid, optionally animating it
+function applyTimelapseEvent(event, animate) {
+    const key = `${event.x},${event.y}`;
+    const cell = grid.get(key);
+
+    if (event.type === 'delete') {
+        if (cell && animate) {
+            animateCellDisappear(event.x, event.y, cell.letter, cell.blooming);
+        }
+        grid.delete(key);
+        return;
+    }
+
+    if (event.type === 'bloom') {
+        if (!cell) return;
+        cell.blooming = event.blooming;
+        if (animate) {
+            animateColorChange(event.x, event.y, event.blooming);
+        }
+        return;
+    }
+
+    // place and edit both leave the recorded letter in the cell
+    grid.set(key, {
+        x: event.x,
+        y: event.y,
+        letter: event.letter,
+        isSeed: event.isSeed,
+        blooming: event.blooming
+    });
+    if (!animate) return;
+    if (cell) {
+        updateCellLetter(event.x, event.y, event.blooming);
+    } else {
+        animateCellAppear(event.x, event.y, event.blooming);
+    }
+}
+
+// Rebuild the grid as it was after a number of frames
+function seekTimelapse(position) {
+    for (const anim of cellAnims.values()) {
+        gsap.killTweensOf(anim);
+    }
+    grid.clear();
+    cellAnims.clear();
+
+    for (let i = 0; i < position; i++) {
+        for (const event of timelapseFrames[i].events) {
+            applyTimelapseEvent(event, false);
+        }
+    }
+
+    for (const [key, cell] of grid.entries()) {
+        const anim = createCellAnim(cell.x, cell.y, cell.blooming, cell.letter);
+        anim.opacity = 1;
+        cellAnims.set(key, anim);
+    }
+
+    timelapsePosition = position;
+    timelapseScrub.value = position;
+}
+
+// Advance playback by one frame
+function stepTimelapse() {
+    if (timelapsePosition >= timelapseFrames.length) {
+        // Wait for the next page rather than stopping partway through
+        if (!timelapseLoading) {
+            pauseTimelapse();
+        }
+        return;
+    }
+
+    for (const event of timelapseFrames[timelapsePosition].events) {
+        applyTimelapseEvent(event, true);
+    }
+    timelapsePosition++;
+    timelapseScrub.value = timelapsePosition;
+}
+
+// Start playback, restarting from the beginning when at the end
+function playTimelapse() {
+    if (timelapsePosition >= timelapseFrames.length) {
+        seekTimelapse(0);
+    }
+    timelapseTimer = setInterval(stepTimelapse, TIMELAPSE_FRAME_INTERVAL);
+    timelapsePlayButton.textContent = 'PAUSE';
+}
+
+// Stop playback where it is
+function pauseTimelapse() {
+    clearInterval(timelapseTimer);
+    timelapseTimer = null;
+    timelapsePlayButton.textContent = 'PLAY';
+}
+
+// Set up the timelapse view with the first page of the plant's recorded events
+function initTimelapse({ events, next }) {
+    appendTimelapseFrames(events);
+
+    timelapsePlayButton.addEventListener('click', () => {
+        if (timelapseTimer) {
+            pauseTimelapse();
+        } else {
+            playTimelapse();
+        }
+    });
+
+    // Scrubbing pauses playback and jumps straight to that point
+    timelapseScrub.addEventListener('input', () => {
+        pauseTimelapse();
+        seekTimelapse(Number(timelapseScrub.value));
+    });
+
+    seekTimelapse(0);
+    centerOnSeed();
+    draw();
+    playTimelapse();
+
+    if (next !== null) {
+        loadTimelapsePages(next);
+    }
+}
@@ -0,0 +1,84 @@
+// Username rules shared by the browser (window.UsernameRules) and the server (require)
+// Usernames end up in /plant/:username/ URLs and on the plant's sign, so they are kept to plain ASCII
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.UsernameRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const USERNAME_MIN_LENGTH = 3;
+    const USERNAME_MAX_LENGTH = 20;
+    const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+    // Names that collide with routes or could pass for staff
+    const RESERVED_USERNAMES = new Set([
+        'about', 'account', 'admin', 'administrator', 'api', 'assets', 'export', 'help',
+        'home', 'import', 'lib', 'login', 'logout', 'mod', 'moderator', 'null', 'orchard',
+        'plant', 'privacy', 'recover', 'reset', 'root', 'security', 'signup', 'snapshots',
+        'staff', 'static', 'styles', 'support', 'system', 'undefined', 'words',
+    ]);
+
+    // Latin lookalikes from other scripts, folded before the charset check
+    const CONFUSABLES = {
+        'а': 'a', 'в': 'b', 'с': 'c', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j',
+        'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'ѕ': 's', 'т': 't', 'у': 'y',
+        'х': 'x', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+        'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+        'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ı': 'i', 'ȷ': 'j',
+    };
+
+    // Digits and separators that read as letters, used only when comparing against reserved and blocked words
+    const LOOKALIKE_LETTERS = { '0': 'o', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '_': '', '-': '' };
+
+    // Fold a typed username to its stored form: compatibility forms, case, accents and lookalike scripts
+    function foldUsername(input) {
+        return String(input ?? '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/./gu, (char) => CONFUSABLES[char] ?? char)
+            .trim();
+    }
+
+    // Ways a folded username reads as letters (4dm1n -> admin, admln); 1 can pass for i or l
+    function usernameSkeletons(username) {
+        const letters = username.replace(/[034578_-]/g, (char) => LOOKALIKE_LETTERS[char]);
+        return [letters.replace(/1/g, 'i'), letters.replace(/1/g, 'l')];
+    }
+
+    // Whether a folded username is, or reads as, a reserved name
+    function isReservedUsername(username) {
+        return usernameSkeletons(username).some((skeleton) => RESERVED_USERNAMES.has(skeleton));
+    }
+
+    // Check a typed username, returning { username } in stored form or { code, message }
+    function validateUsername(input) {
+        const username = foldUsername(input);
+
+        if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+            return { code: 'USERNAME_LENGTH', message: `Username must be ${USERNAME_MIN_LENGTH}-${USERNAME_MAX_LENGTH} characters` };
+        }
+
+        if (!USERNAME_PATTERN.test(username)) {
+            return { code: 'USERNAME_CHARSET', message: 'Use letters, numbers, _ and -, starting with a letter or number' };
+        }
+
+        if (isReservedUsername(username)) {
+            return { code: 'USERNAME_RESERVED', message: 'Username unavailable' };
+        }
+
+        return { username };
+    }
+
+    return {
+        USERNAME_MIN_LENGTH,
+        USERNAME_MAX_LENGTH,
+        RESERVED_USERNAMES,
+        foldUsername,
+        usernameSkeletons,
+        isReservedUsername,
+        validateUsername,
+    };
+});
@@ -12,6 +12,15 @@ const socketCallbacks = {
     onConnected: null,
     onWordsChanged: null,
     onSeedSet: null,
+    onSeedError: null,
+    onHistoryAck: null,
+    onEditAck: null,
+    onPlantRestored: null,
+    onPlantRemoved: null,
+    onPlantAdded: null,
+    onPlantModerated: null,
+    onPlantVisibility: null,
+    onPlantRenamed: null,
     // Home gallery callbacks
     onPlantTile: null,
     onPlantDelete: null,
@@ -87,6 +96,48 @@ function connectSocket(username = null, mode = null) {
         }
     });
 
+    // Handle the whole plant being replaced from a snapshot (plant view)
+    socket.on('plant:restored', (data) => {
+        if (socketCallbacks.onPlantRestored) {
+            socketCallbacks.onPlantRestored(data);
+        }
+    });
+
+    // Handle the plant's owner deleting their account (plant view and home gallery)
+    socket.on('plant:removed', (data) => {
+        if (socketCallbacks.onPlantRemoved) {
+            socketCallbacks.onPlantRemoved(data);
+        }
+    });
+
+    // Handle a plant joining the gallery after being relisted or made public again (home gallery)
+    socket.on('plant:added', (data) => {
+        if (socketCallbacks.onPlantAdded) {
+            socketCallbacks.onPlantAdded(data);
+        }
+    });
+
+    // Handle an admin unlisting, hiding, locking or restoring the plant (plant view)
+    socket.on('plant:moderated', (data) => {
+        if (socketCallbacks.onPlantModerated) {
+            socketCallbacks.onPlantModerated(data);
+        }
+    });
+
+    // Handle the plant's owner making it private (plant view)
+    socket.on('plant:visibility', (data) => {
+        if (socketCallbacks.onPlantVisibility) {
+            socketCallbacks.onPlantVisibility(data);
+        }
+    });
+
+    // Handle the plant's owner changing their username (plant view and home gallery)
+    socket.on('plant:renamed', (data) => {
+        if (socketCallbacks.onPlantRenamed) {
+            socketCallbacks.onPlantRenamed(data);
+        }
+    });
+
     // Handle batch tile updates from other clients (plant view)
     socket.on('tiles:updated', (data) => {
         // console.log('Received tiles batch update:', data);
@@ -119,17 +170,23 @@ function connectSocket(username = null, mode = null) {
         }
     });
 
-    // Acknowledgments
+    // Acknowledgments; manual edits become undoable once the server accepts them
     socket.on('tile:ack', (data) => {
         if (!data.success) {
             console.error('Tile save failed:', data);
         }
+        if (socketCallbacks.onEditAck) {
+            socketCallbacks.onEditAck({ ...data, type: 'tile' });
+        }
     });
 
     socket.on('delete:ack', (data) => {
         if (!data.success) {
             console.error('Tile delete failed:', data);
         }
+        if (socketCallbacks.onEditAck) {
+            socketCallbacks.onEditAck({ ...data, type: 'delete' });
+        }
     });
 
     socket.on('tiles:update:ack', (data) => {
@@ -140,6 +197,25 @@ function connectSocket(username = null, mode = null) {
         }
     });
 
+    // Undo/redo results, so the history stacks know whether the server accepted them
+    socket.on('tiles:undo:ack', (data) => {
+        if (!data.success) {
+            console.error('Undo failed:', data.code);
+        }
+        if (socketCallbacks.onHistoryAck) {
+            socketCallbacks.onHistoryAck({ ...data, action: 'undo' });
+        }
+    });
+
+    socket.on('tiles:redo:ack', (data) => {
+        if (!data.success) {
+            console.error('Redo failed:', data.code);
+        }
+        if (socketCallbacks.onHistoryAck) {
+            socketCallbacks.onHistoryAck({ ...data, action: 'redo' });
+        }
+    });
+
     socket.on('words:sync:ack', (data) => {
         if (data.success) {
             // console.log(`Words synced: +${data.added} added, -${data.removed} removed`);
@@ -156,27 +232,32 @@ function connectSocket(username = null, mode = null) {
                 socketCallbacks.onSeedSet(data);
             }
         } else {
-            console.error('Seed set failed');
+            console.error('Seed set failed:', data.code);
+            if (socketCallbacks.onSeedError) {
+                socketCallbacks.onSeedError(data);
+            }
         }
     });
 }
 
-// Emit a single tile placement/update
-function emitTile(x, y, letter, blooming = false) {
+// Emit a single tile placement/update (source is 'manual' or 'auto-growth'), returning whether it was sent
+function emitTile(x, y, letter, blooming = false, source = 'manual') {
     if (!socket || !isConnected) {
         console.warn('Socket not connected, cannot emit tile');
-        return;
+        return false;
     }
-    socket.emit('tile', { x, y, letter, blooming });
+    socket.emit('tile', { x, y, letter, blooming, source });
+    return true;
 }
 
-// Emit a tile deletion with optional disconnected tiles
-function emitDelete(x, y, disconnected = []) {
+// Emit a tile deletion (the server prunes the tiles it cuts off), returning whether it was sent
+function emitDelete(x, y) {
     if (!socket || !isConnected) {
         console.warn('Socket not connected, cannot emit delete');
-        return;
+        return false;
     }
-    socket.emit('delete', { x, y, disconnected });
+    socket.emit('delete', { x, y });
+    return true;
 }
 
 // Emit a batch tiles update
@@ -197,6 +278,16 @@ function emitWordsSync(add = [], remove = []) {
     socket.emit('words:sync', { add, remove });
 }
 
+// Emit an undo or redo; each cell is { x, y, from, to } with null for an empty cell
+function emitHistory(action, cells) {
+    if (!socket || !isConnected) {
+        console.warn(`Socket not connected, cannot emit ${action}`);
+        return false;
+    }
+    socket.emit(`tiles:${action}`, { cells });
+    return true;
+}
+
 // Emit a seed selection event
 function emitSeedSet(word) {
     if (!socket || !isConnected) {
@@ -241,6 +332,33 @@ function onSocketEvent(event, callback) {
         case 'seedSet':
             socketCallbacks.onSeedSet = callback;
             break;
+        case 'seedError':
+            socketCallbacks.onSeedError = callback;
+            break;
+        case 'historyAck':
+            socketCallbacks.onHistoryAck = callback;
+            break;
+        case 'editAck':
+            socketCallbacks.onEditAck = callback;
+            break;
+        case 'plantRestored':
+            socketCallbacks.onPlantRestored = callback;
+            break;
+        case 'plantRemoved':
+            socketCallbacks.onPlantRemoved = callback;
+            break;
+        case 'plantAdded':
+            socketCallbacks.onPlantAdded = callback;
+            break;
+        case 'plantRenamed':
+            socketCallbacks.onPlantRenamed = callback;
+            break;
+        case 'plantModerated':
+            socketCallbacks.onPlantModerated = callback;
+            break;
+        case 'plantVisibility':
+            socketCallbacks.onPlantVisibility = callback;
+            break;
         // Home gallery events
         case 'plantTile':
             socketCallbacks.onPlantTile = callback;
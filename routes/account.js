@@ -0,0 +1,269 @@
+const express = require('express');
+const {
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse,
+} = require("@simplewebauthn/server");
+const prisma = require('../lib/prisma');
+const { rpID, origin } = require('../lib/config');
+const { recordAudit } = require('../lib/audit');
+const { challengeStore, CHALLENGE_TTL_MS } = require('../lib/challengeStore');
+const { sessionStore } = require('../lib/sessionStore');
+const { base64URLStringToBuffer } = require('../lib/utils');
+const { loadAccountData, streamAccountExport } = require('../lib/accountExport');
+const { checkNewUsername } = require('../lib/usernames');
+const { removePlantState, isGalleryListed, emitToGallery, updatePlantListing } = require('../socket');
+const { PLANT_SHARING } = require('../lib/moderation');
+
+const router = express.Router();
+
+// Delete account request - ask for a passkey to confirm it's really the owner
+router.post("/account/delete-request/", async (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    const credentials = await prisma.credential.findMany({
+        where: { userId: req.session.userId },
+        select: { credentialId: true }
+    });
+
+    const options = await generateAuthenticationOptions({
+        timeout: CHALLENGE_TTL_MS,
+        rpID,
+        allowCredentials: credentials.map(c => ({
+            id: c.credentialId,
+            type: "public-key",
+        })),
+        userVerification: "required",
+    });
+
+    await challengeStore.set(`delete:${req.session.userId}`, options.challenge);
+    res.json({ options });
+});
+
+// Delete account response - verify the passkey, then remove the user and everything they own
+router.post("/account/delete-response/", async (req, res) => {
+    const userId = req.session.userId;
+    if (!userId) {
+        return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    const expectedChallenge = await challengeStore.take(`delete:${userId}`);
+    if (!expectedChallenge) {
+        return res.status(400).json({ error: "Confirmation expired, please try again" });
+    }
+
+    const { authenticationResponse } = req.body;
+    const cred = await prisma.credential.findUnique({
+        where: { credentialId: authenticationResponse?.id ?? "" },
+        include: { user: { include: { plant: { select: { id: true } } } } }
+    });
+    if (!cred || cred.userId !== userId) {
+        return res.status(400).json({ error: "Use a passkey for this account" });
+    }
+
+    try {
+        const verification = await verifyAuthenticationResponse({
+            response: authenticationResponse,
+            expectedChallenge,
+            expectedOrigin: origin,
+            expectedRPID: rpID,
+            credential: {
+                id: base64URLStringToBuffer(cred.credentialId),
+                publicKey: base64URLStringToBuffer(cred.publicKey),
+                counter: cred.counter,
+                transports: cred.transports ? JSON.parse(cred.transports) : [],
+            },
+        });
+        if (!verification.verified) {
+            return res.json({ ok: false });
+        }
+    } catch (err) {
+        console.error(err);
+        return res.status(400).json({ error: err.message });
+    }
+
+    const { username, plant } = cred.user;
+
+    // The listing can't be read once the plant is gone
+    const wasListed = plant ? await isGalleryListed(plant.id) : false;
+
+    try {
+        // Credentials don't cascade from User; the plant, its tiles, words, history and snapshots do
+        await prisma.$transaction(async (tx) => {
+            await tx.credential.deleteMany({ where: { userId } });
+            await tx.user.delete({ where: { id: userId } });
+            await recordAudit({
+                action: "account.deleted",
+                targetType: "user",
+                targetId: userId,
+                ip: req.ip,
+                details: { username },
+            }, tx);
+        });
+    } catch (err) {
+        console.error("Account delete error:", err);
+        return res.status(500).json({ error: "Failed to delete account" });
+    }
+
+    // Sign out everywhere and drop live connections opened by this user
+    await sessionStore.destroyUserSessions(userId).catch((err) => {
+        console.error("Session cleanup error:", err);
+    });
+
+    const io = req.app.get("io");
+    for (const socket of io.of("/").sockets.values()) {
+        if (socket.request.session?.userId === userId) {
+            socket.disconnect(true);
+        }
+    }
+    if (plant) {
+        removePlantState(io, plant.id, username, wasListed);
+    }
+
+    req.session.destroy(() => {
+        res.json({ ok: true });
+    });
+});
+
+// Change username, keeping the old name as an alias so shared plant links redirect
+router.post('/account/username/', async (req, res) => {
+    const userId = req.session.userId;
+    if (!userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { username: true, plant: { select: { id: true } } }
+    });
+    if (!user) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const result = await checkNewUsername(req.body.username, userId);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    const oldUsername = user.username;
+    const { username } = result;
+    if (username === oldUsername) {
+        return res.json({ success: true, username });
+    }
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            // Taking back an old name retires its alias
+            await tx.usernameAlias.deleteMany({ where: { username, userId } });
+            await tx.usernameAlias.create({ data: { username: oldUsername, userId } });
+            await tx.user.update({ where: { id: userId }, data: { username } });
+            await recordAudit({
+                actorId: userId,
+                action: 'user.renamed',
+                targetType: 'user',
+                targetId: userId,
+                ip: req.ip,
+                details: { from: oldUsername, to: username },
+            }, tx);
+        });
+    } catch (err) {
+        // Someone else took the name between the check and the update
+        if (err.code === 'P2002') {
+            return res.status(400).json({ error: 'Username unavailable' });
+        }
+        console.error('Username change error:', err);
+        return res.status(500).json({ error: 'Failed to change username' });
+    }
+
+    req.session.username = username;
+
+    const io = req.app.get('io');
+    if (user.plant) {
+        io.to(`plant:${user.plant.id}`).emit('plant:renamed', { oldUsername, username });
+        emitToGallery(io, user.plant.id, 'plant:renamed', { oldUsername, username });
+    }
+
+    res.json({ success: true, username });
+});
+
+// Plant visibility - show the plant in the gallery, only to people with the link, or only to its owner
+router.post('/account/visibility/', async (req, res) => {
+    const userId = req.session.userId;
+    if (!userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const { sharing } = req.body;
+    if (!PLANT_SHARING.includes(sharing)) {
+        return res.status(400).json({ error: 'Invalid visibility' });
+    }
+
+    let plant;
+    try {
+        plant = await prisma.$transaction(async (tx) => {
+            const updated = await tx.plant.update({
+                where: { userId },
+                data: { sharing },
+                select: { id: true, user: { select: { username: true } } }
+            });
+            await recordAudit({
+                actorId: userId,
+                action: 'plant.sharing_changed',
+                targetType: 'plant',
+                targetId: updated.id,
+                ip: req.ip,
+                details: { sharing },
+            }, tx);
+            return updated;
+        });
+    } catch (err) {
+        if (err.code === 'P2025') {
+            return res.status(404).json({ error: 'Plant not found' });
+        }
+        console.error('Plant visibility error:', err);
+        return res.status(500).json({ error: 'Failed to change visibility' });
+    }
+
+    const io = req.app.get('io');
+    await updatePlantListing(io, plant.id, plant.user.username);
+
+    // Visitors can't stay on a plant that just went private; their reload shows it as missing
+    if (sharing === 'private') {
+        io.to(`plant:${plant.id}`).emit('plant:visibility', { sharing });
+        io.in(`plant:${plant.id}`).disconnectSockets(true);
+    }
+
+    res.json({ success: true, sharing });
+});
+
+// Account export - everything stored about the signed-in user as a JSON download
+router.get('/account/export/', async (req, res) => {
+    if (!req.session.userId) {
+        return res.redirect('/login/');
+    }
+
+    let data;
+    try {
+        data = await loadAccountData(req.session.userId);
+    } catch (err) {
+        console.error('Account export error:', err);
+        return res.status(500).json({ error: 'Failed to export account' });
+    }
+    if (!data) {
+        return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.attachment(`${data.document.account.username}-orchard-export.json`);
+    res.type('application/json');
+
+    // Headers are already sent once streaming starts, so a failure can only cut the download short
+    try {
+        await streamAccountExport(res, data);
+    } catch (err) {
+        console.error('Account export error:', err);
+        res.destroy(err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,487 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const blocklist = require('../lib/blocklist');
+const { requireAdmin } = require('../lib/requireAdmin');
+const { AUDIT_PAGE_SIZE, recordAudit, parseAuditFilters, streamAuditCsv } = require('../lib/audit');
+const GridRules = require('../public/grid');
+const { resetPlant, removePlantTiles, previewTileRemoval, capturePlantState, restorePlantState, updatePlantListing } = require('../socket');
+
+const router = express.Router();
+
+// Users shown on one dashboard page
+const ADMIN_USER_LIMIT = 200;
+
+// Reports shown on one queue page
+const REPORT_QUEUE_LIMIT = 100;
+
+// Suspension lengths offered in the report queue
+const SUSPENSION_DAYS = [1, 7, 30];
+
+// Dashboard - users and their plants, with flagged words and moderation actions
+router.get('/admin/', requireAdmin, async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+
+    const users = await prisma.user.findMany({
+        where: q ? { username: { contains: q } } : {},
+        select: {
+            id: true,
+            username: true,
+            isAdmin: true,
+            plant: {
+                select: {
+                    id: true,
+                    seed: true,
+                    visibility: true,
+                    sharing: true,
+                    locked: true,
+                    updatedAt: true,
+                    words: { select: { word: true } },
+                    _count: { select: { tiles: true } }
+                }
+            }
+        },
+        orderBy: { username: 'asc' },
+        take: ADMIN_USER_LIMIT
+    });
+
+    res.render('admin.ejs', {
+        userId: req.admin.id,
+        q,
+        limit: ADMIN_USER_LIMIT,
+        users: users.map(u => ({
+            id: u.id,
+            username: u.username,
+            isAdmin: u.isAdmin,
+            plant: u.plant && {
+                id: u.plant.id,
+                seed: u.plant.seed,
+                visibility: u.plant.visibility,
+                sharing: u.plant.sharing,
+                locked: u.plant.locked,
+                updatedAt: u.plant.updatedAt,
+                tileCount: u.plant._count.tiles,
+                wordCount: u.plant.words.length,
+                // Words that made it onto the plant but are blocked now, e.g. after an override
+                flaggedWords: u.plant.words.map(w => w.word).filter(blocklist.isBlocked)
+            }
+        }))
+    });
+});
+
+// Reset a plant to an unplanted seed
+router.post('/admin/plants/:plantId/reset/', requireAdmin, async (req, res) => {
+    const plant = await prisma.plant.findUnique({
+        where: { id: req.params.plantId },
+        select: { id: true, userId: true, seed: true }
+    });
+    if (!plant) {
+        return res.status(404).json({ error: 'Plant not found' });
+    }
+
+    try {
+        await resetPlant(req.app.get('io'), plant.id, req.admin.id);
+        await recordAudit({
+            actorId: req.admin.id,
+            action: 'plant.reset',
+            targetType: 'plant',
+            targetId: plant.id,
+            ip: req.ip,
+            details: { userId: plant.userId, seed: plant.seed },
+        });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Plant reset error:', err);
+        res.status(500).json({ error: 'Failed to reset plant' });
+    }
+});
+
+// Unlist, hide, lock or restore a plant; the action name is also the audit action
+async function moderatePlant(req, res, action, data) {
+    let plant;
+    try {
+        plant = await prisma.$transaction(async (tx) => {
+            const updated = await tx.plant.update({
+                where: { id: req.params.plantId },
+                data,
+                select: {
+                    id: true,
+                    userId: true,
+                    visibility: true,
+                    locked: true,
+                    user: { select: { username: true } }
+                }
+            });
+            await recordAudit({
+                actorId: req.admin.id,
+                action,
+                targetType: 'plant',
+                targetId: updated.id,
+                ip: req.ip,
+                details: { userId: updated.userId, visibility: updated.visibility, locked: updated.locked },
+            }, tx);
+            return updated;
+        });
+    } catch (err) {
+        if (err.code === 'P2025') {
+            return res.status(404).json({ error: 'Plant not found' });
+        }
+        console.error('Plant moderation error:', err);
+        return res.status(500).json({ error: 'Failed to update plant' });
+    }
+
+    // Viewers reload to pick up the new state; editing rights are settled when they reconnect
+    const io = req.app.get('io');
+    io.to(`plant:${plant.id}`).emit('plant:moderated', { visibility: plant.visibility, locked: plant.locked });
+    io.in(`plant:${plant.id}`).disconnectSockets(true);
+    await updatePlantListing(io, plant.id, plant.user.username);
+
+    res.json({ success: true, visibility: plant.visibility, locked: plant.locked });
+}
+
+// Unlist a plant: it leaves the home gallery but its link keeps working
+router.post('/admin/plants/:plantId/unlist/', requireAdmin, (req, res) => {
+    return moderatePlant(req, res, 'plant.unlisted', { visibility: 'unlisted' });
+});
+
+// Hide a plant from everyone but its owner and admins
+router.post('/admin/plants/:plantId/hide/', requireAdmin, (req, res) => {
+    return moderatePlant(req, res, 'plant.hidden', { visibility: 'hidden' });
+});
+
+// Lock a plant so only admins can edit it
+router.post('/admin/plants/:plantId/lock/', requireAdmin, (req, res) => {
+    return moderatePlant(req, res, 'plant.locked', { locked: true });
+});
+
+// Undo unlisting, hiding and locking
+router.post('/admin/plants/:plantId/restore/', requireAdmin, (req, res) => {
+    return moderatePlant(req, res, 'plant.restored', { visibility: 'public', locked: false });
+});
+
+// Promote a user to admin or demote them
+router.post('/admin/users/:userId/role/', requireAdmin, async (req, res) => {
+    const { userId } = req.params;
+    const { isAdmin } = req.body;
+    if (typeof isAdmin !== 'boolean') {
+        return res.status(400).json({ error: 'Invalid role' });
+    }
+    if (userId === req.admin.id) {
+        return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            await tx.user.update({ where: { id: userId }, data: { isAdmin } });
+            await recordAudit({
+                actorId: req.admin.id,
+                action: isAdmin ? 'user.promoted' : 'user.demoted',
+                targetType: 'user',
+                targetId: userId,
+                ip: req.ip,
+            }, tx);
+        });
+    } catch (err) {
+        if (err.code === 'P2025') {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        console.error('Role change error:', err);
+        return res.status(500).json({ error: 'Failed to change role' });
+    }
+
+    // Open plant connections decided editing rights when they connected
+    if (!isAdmin) {
+        for (const socket of req.app.get('io').of('/').sockets.values()) {
+            if (socket.request.session?.userId === userId) {
+                socket.disconnect(true);
+            }
+        }
+    }
+
+    res.json({ success: true, isAdmin });
+});
+
+// Cells a report points at on the plant as it is now: wherever the word is spelled, or the tiles the reporter picked
+async function getReportedCells(report) {
+    if (report.word) {
+        const { tiles } = await capturePlantState(report.plantId);
+        const grid = new Map(tiles.map(t => [GridRules.cellKey(t.x, t.y), t]));
+        return GridRules.getWordCells(grid, report.word);
+    }
+    return report.cells ?? [];
+}
+
+// Tiles that removing a report's cells would take right now, cut-off tiles included
+async function getReportRemoval(report) {
+    return previewTileRemoval(report.plantId, await getReportedCells(report));
+}
+
+// Report queue - open reports oldest first, or closed ones newest first
+router.get('/admin/reports/', requireAdmin, async (req, res) => {
+    const status = ['dismissed', 'resolved'].includes(req.query.status) ? req.query.status : 'open';
+
+    const reports = await prisma.report.findMany({
+        where: { status },
+        include: {
+            plant: { select: { id: true, user: { select: { id: true, username: true, suspendedUntil: true } } } },
+            reporter: { select: { username: true } },
+            resolvedBy: { select: { username: true } }
+        },
+        orderBy: { createdAt: status === 'open' ? 'asc' : 'desc' },
+        take: REPORT_QUEUE_LIMIT
+    });
+
+    // Show exactly what Remove would take, so nothing goes that the admin hasn't seen
+    if (status === 'open') {
+        for (const report of reports) {
+            report.removal = await getReportRemoval(report);
+        }
+    }
+
+    res.render('reports.ejs', {
+        userId: req.admin.id,
+        status,
+        limit: REPORT_QUEUE_LIMIT,
+        suspensionDays: SUSPENSION_DAYS,
+        reports
+    });
+});
+
+// Resolve a report: dismiss it, remove the reported tiles, reset the plant or suspend its owner
+router.post('/admin/reports/:id/resolve/', requireAdmin, async (req, res) => {
+    const { action } = req.body;
+    if (!['dismiss', 'remove', 'reset', 'suspend'].includes(action)) {
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    const report = await prisma.report.findUnique({
+        where: { id: req.params.id },
+        include: { plant: { select: { id: true, seed: true, userId: true, user: { select: { username: true } } } } }
+    });
+    if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+        return res.status(400).json({ error: 'Report already closed' });
+    }
+
+    const { plant } = report;
+    const io = req.app.get('io');
+    const audit = (fields) => recordAudit({ actorId: req.admin.id, ip: req.ip, ...fields });
+
+    try {
+        if (action === 'remove') {
+            // The plant may have grown since the queue was loaded; only remove what the admin was shown
+            const cells = await getReportedCells(report);
+            const removal = (await previewTileRemoval(plant.id, cells)).map(c => GridRules.cellKey(c.x, c.y));
+            const expected = Array.isArray(req.body.tiles) ? req.body.tiles : [];
+            if (removal.length === 0) {
+                return res.status(400).json({ error: 'Nothing to remove there; reset the plant instead' });
+            }
+            if (removal.length !== expected.length || !removal.every(key => expected.includes(key))) {
+                return res.status(409).json({ error: 'The plant has changed; reload to see what Remove takes now' });
+            }
+
+            const removed = await removePlantTiles(io, plant.id, plant.user.username, cells, req.admin.id);
+            await audit({
+                action: 'plant.tiles_removed',
+                targetType: 'plant',
+                targetId: plant.id,
+                details: { reportId: report.id, word: report.word, cells: report.cells, tiles: removed },
+            });
+        } else if (action === 'reset') {
+            await resetPlant(io, plant.id, req.admin.id);
+            await audit({
+                action: 'plant.reset',
+                targetType: 'plant',
+                targetId: plant.id,
+                details: { userId: plant.userId, seed: plant.seed, reportId: report.id },
+            });
+        } else if (action === 'suspend') {
+            const days = SUSPENSION_DAYS.includes(req.body.days) ? req.body.days : SUSPENSION_DAYS[1];
+            const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+            await prisma.user.update({ where: { id: plant.userId }, data: { suspendedUntil } });
+            await audit({
+                action: 'user.suspended',
+                targetType: 'user',
+                targetId: plant.userId,
+                details: { until: suspendedUntil, reportId: report.id },
+            });
+
+            // Suspended users' plants leave the gallery until the suspension ends
+            await updatePlantListing(io, plant.id, plant.user.username);
+
+            // Open plant connections decided editing rights when they connected
+            for (const socket of io.of('/').sockets.values()) {
+                if (socket.request.session?.userId === plant.userId) {
+                    socket.disconnect(true);
+                }
+            }
+        }
+
+        // Resetting the plant or suspending its owner answers every open report about it
+        const where = ['reset', 'suspend'].includes(action)
+            ? { plantId: plant.id, status: 'open' }
+            : { id: report.id };
+        const closed = await prisma.report.updateMany({
+            where,
+            data: {
+                status: action === 'dismiss' ? 'dismissed' : 'resolved',
+                resolution: action,
+                resolvedById: req.admin.id,
+                resolvedAt: new Date()
+            }
+        });
+        await audit({
+            action: action === 'dismiss' ? 'report.dismissed' : 'report.resolved',
+            targetType: 'report',
+            targetId: report.id,
+            details: { resolution: action, plantId: plant.id, closed: closed.count },
+        });
+
+        res.json({ success: true, closed: closed.count });
+    } catch (err) {
+        console.error('Report resolve error:', err);
+        res.status(500).json({ error: 'Failed to resolve report' });
+    }
+});
+
+// Audit log - newest first, filtered by action, actor, target and date
+router.get('/admin/audit/', requireAdmin, async (req, res) => {
+    const { filters, where } = await parseAuditFilters(req.query);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const [entries, actions] = await Promise.all([
+        prisma.auditLog.findMany({
+            where,
+            include: { actor: { select: { username: true } } },
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            skip: (page - 1) * AUDIT_PAGE_SIZE,
+            // One extra row tells us whether there is a next page
+            take: AUDIT_PAGE_SIZE + 1
+        }),
+        prisma.auditLog.findMany({
+            distinct: ['action'],
+            select: { action: true },
+            orderBy: { action: 'asc' }
+        })
+    ]);
+
+    // Filters carried over to the CSV and paging links
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+
+    res.render('audit.ejs', {
+        userId: req.admin.id,
+        filters,
+        query,
+        page,
+        hasNextPage: entries.length > AUDIT_PAGE_SIZE,
+        actions: actions.map(a => a.action),
+        entries: entries.slice(0, AUDIT_PAGE_SIZE)
+    });
+});
+
+// Audit log as CSV, with the same filters as the page
+router.get('/admin/audit.csv', requireAdmin, async (req, res) => {
+    const { where } = await parseAuditFilters(req.query);
+
+    res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type('text/csv');
+
+    // Headers are already sent once streaming starts, so a failure can only cut the download short
+    try {
+        await streamAuditCsv(res, where);
+    } catch (err) {
+        console.error('Audit export error:', err);
+        res.destroy(err);
+    }
+});
+
+// List blocklist overrides
+router.get('/admin/blocklist/', requireAdmin, async (req, res) => {
+    const overrides = await prisma.blocklistOverride.findMany({
+        select: { word: true, blocked: true, updatedAt: true },
+        orderBy: { word: 'asc' }
+    });
+    res.json({ overrides });
+});
+
+// Block an extra word, or allow a word from the shipped blocklist
+router.post('/admin/blocklist/', requireAdmin, async (req, res) => {
+    const { word, blocked } = req.body;
+    if (typeof word !== 'string' || !blocklist.normalize(word) || typeof blocked !== 'boolean') {
+        return res.status(400).json({ error: 'Invalid override' });
+    }
+
+    try {
+        const override = await blocklist.setOverride(word, blocked);
+        await recordAudit({
+            actorId: req.admin.id,
+            action: 'blocklist.override_set',
+            targetType: 'word',
+            targetId: override.word,
+            ip: req.ip,
+            details: { blocked: override.blocked },
+        });
+        res.json({ success: true, word: override.word, blocked: override.blocked });
+    } catch (err) {
+        console.error('Blocklist override error:', err);
+        res.status(500).json({ error: 'Failed to save override' });
+    }
+});
+
+// Remove an override
+router.delete('/admin/blocklist/:word/', requireAdmin, async (req, res) => {
+    try {
+        await blocklist.removeOverride(req.params.word);
+        await recordAudit({
+            actorId: req.admin.id,
+            action: 'blocklist.override_removed',
+            targetType: 'word',
+            targetId: blocklist.normalize(req.params.word),
+            ip: req.ip,
+        });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Blocklist override error:', err);
+        res.status(500).json({ error: 'Failed to remove override' });
+    }
+});
+
+// List a plant's snapshots
+router.get('/admin/plants/:plantId/snapshots/', requireAdmin, async (req, res) => {
+    const snapshots = await prisma.plantSnapshot.findMany({
+        where: { plantId: req.params.plantId },
+        select: { id: true, name: true, seed: true, createdAt: true },
+        orderBy: { createdAt: 'desc' }
+    });
+    res.json({ snapshots });
+});
+
+// Restore a user's plant from one of its snapshots
+router.post('/admin/plants/:plantId/snapshots/:id/restore/', requireAdmin, async (req, res) => {
+    const { plantId, id } = req.params;
+    const snapshot = await prisma.plantSnapshot.findFirst({
+        where: { id, plantId }
+    });
+    if (!snapshot) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    try {
+        await restorePlantState(req.app.get('io'), plantId, snapshot, req.admin.id);
+        await recordAudit({
+            actorId: req.admin.id,
+            action: 'plant.snapshot_restored',
+            targetType: 'plant',
+            targetId: plantId,
+            ip: req.ip,
+            details: { snapshotId: snapshot.id, name: snapshot.name },
+        });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Snapshot restore error:', err);
+        res.status(500).json({ error: 'Failed to restore snapshot' });
+    }
+});
+
+module.exports = router;
@@ -6,37 +6,58 @@ const {
     verifyAuthenticationResponse,
 } = require("@simplewebauthn/server");
 const prisma = require('../lib/prisma');
-const { rpID, origin } = require('../lib/config');
+const { rpID, rpName, origin } = require('../lib/config');
+const { checkNewUsername, resolveUsernameAlias } = require('../lib/usernames');
+const UsernameRules = require('../public/username');
+const { recordAudit } = require('../lib/audit');
+const { challengeStore, CHALLENGE_TTL_MS } = require('../lib/challengeStore');
+const { checkRateLimit } = require('../lib/rateLimit');
+const { createRecoveryCodes, consumeRecoveryCode, countRecoveryCodes } = require('../lib/recoveryCodes');
 const { randomId, base64URLStringToBuffer, bufferToBase64URLString } = require('../lib/utils');
 
 const router = express.Router();
 
-// In Memory Storage for challenges
-const temporaryUsers = new Map();
-const loginChallenges = new Map();
+// Recovery attempts allowed per IP and per username in each window
+const RECOVERY_WINDOW_MS = 15 * 60 * 1000;
+const RECOVERY_IP_LIMIT = 20;
+const RECOVERY_USERNAME_LIMIT = 5;
+
+// Find an account by a typed username: as typed (accounts older than the username rules), folded, or a former name
+async function findUserByTypedName(input, include) {
+    const typed = typeof input === "string" ? input.trim().toLowerCase() : "";
+    const folded = UsernameRules.foldUsername(input);
+
+    for (const username of new Set([typed, folded])) {
+        const user = await prisma.user.findUnique({ where: { username }, include });
+        if (user) return user;
+    }
+
+    const current = await resolveUsernameAlias(folded);
+    return current ? prisma.user.findUnique({ where: { username: current }, include }) : null;
+}
 
 // Signup request - generate registration options
 router.post("/signup-request/", async (req, res) => {
-    const username = req.body.username?.toLowerCase();
-    const existingUser = await prisma.user.findUnique({ where: { username } });
-    if (existingUser) {
-        return res.status(400).json({ error: "Username unavailable" });
+    const result = await checkNewUsername(req.body.username);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
     }
 
-    const tempUser = { id: randomId(), username, credentials: [] };
-    temporaryUsers.set(tempUser.id, tempUser);
+    const { username } = result;
+
+    const tempUserId = randomId();
 
     const options = await generateRegistrationOptions({
-        rpName: "Networked Media Final",
+        rpName,
         rpID,
-        userID: new TextEncoder().encode(tempUser.id),
+        userID: new TextEncoder().encode(tempUserId),
         userName: username,
-        timeout: 60000,
+        timeout: CHALLENGE_TTL_MS,
         attestationType: "none",
         authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" },
     });
 
-    tempUser.currentChallenge = options.challenge;
+    await challengeStore.set(`signup:${tempUserId}`, { username, challenge: options.challenge });
     res.json({ options: options });
 });
 
@@ -44,15 +65,15 @@ router.post("/signup-request/", async (req, res) => {
 router.post("/signup-response/", async (req, res) => {
     const { userId, attestationResponse } = req.body;
     const originalUserId = new TextDecoder().decode(base64URLStringToBuffer(userId));
-    const user = temporaryUsers.get(originalUserId);
+    const user = await challengeStore.take(`signup:${originalUserId}`);
     if (!user) {
-        return res.status(400).json({ error: "Temporary user not found" });
+        return res.status(400).json({ error: "Signup expired, please try again" });
     }
 
     try {
         const verification = await verifyRegistrationResponse({
             response: attestationResponse,
-            expectedChallenge: user.currentChallenge,
+            expectedChallenge: user.challenge,
             expectedOrigin: origin,
             expectedRPID: rpID,
         });
@@ -76,13 +97,17 @@ router.post("/signup-response/", async (req, res) => {
                 },
             });
 
-            temporaryUsers.delete(originalUserId);
+            // Shown to the user once; only hashes are kept
+            const recoveryCodes = await createRecoveryCodes(dbUser.id);
 
             req.session.userId = dbUser.id;
             req.session.username = dbUser.username;
+            req.session.userAgent = req.get("user-agent");
+
+            return res.json({ ok: true, recoveryCodes });
         }
 
-        res.json({ ok: verification.verified });
+        res.json({ ok: false });
     } catch (err) {
         console.error(err);
         res.status(400).json({ error: err.message });
@@ -91,15 +116,11 @@ router.post("/signup-response/", async (req, res) => {
 
 // Login request - generate authentication options
 router.post("/login-request/", async (req, res) => {
-    const username = req.body.username?.toLowerCase();
-    const user = await prisma.user.findUnique({
-        where: { username },
-        include: { credentials: true }
-    });
+    const user = await findUserByTypedName(req.body.username, { credentials: true });
     if (!user) return res.status(404).json({ error: "User not found" });
 
     const options = await generateAuthenticationOptions({
-        timeout: 60000,
+        timeout: CHALLENGE_TTL_MS,
         rpID,
         allowCredentials: user.credentials.map(c => ({
             id: c.credentialId,
@@ -108,21 +129,21 @@ router.post("/login-request/", async (req, res) => {
         userVerification: "preferred",
     });
 
-    loginChallenges.set(user.id, options.challenge);
+    await challengeStore.set(`login:${user.id}`, options.challenge);
     res.json({ options: options, userId: user.id });
 });
 
 // Autofill login request - generate options for conditional UI (no username required)
 router.get("/login-autofill-request/", async (req, res) => {
     const options = await generateAuthenticationOptions({
-        timeout: 60000,
+        timeout: CHALLENGE_TTL_MS,
         rpID,
         userVerification: "preferred",
         // Empty allowCredentials lets browser show all available passkeys
     });
 
     // Store challenge with a special key for autofill requests
-    loginChallenges.set(`autofill:${options.challenge}`, options.challenge);
+    await challengeStore.set(`autofill:${options.challenge}`, options.challenge);
     res.json({ options });
 });
 
@@ -146,12 +167,9 @@ router.post("/login-response/", async (req, res) => {
         const clientDataJSON = Buffer.from(authenticationResponse.response.clientDataJSON, 'base64url');
         const clientData = JSON.parse(clientDataJSON.toString('utf8'));
         const challenge = clientData.challenge;
-        expectedChallenge = loginChallenges.get(`autofill:${challenge}`);
-        if (expectedChallenge) {
-            loginChallenges.delete(`autofill:${challenge}`);
-        }
+        expectedChallenge = await challengeStore.take(`autofill:${challenge}`);
     } else {
-        expectedChallenge = loginChallenges.get(userId);
+        expectedChallenge = await challengeStore.take(`login:${userId}`);
     }
 
     if (!expectedChallenge) return res.status(400).json({ error: "No login challenge found" });
@@ -173,15 +191,12 @@ router.post("/login-response/", async (req, res) => {
         if (verification.verified) {
             await prisma.credential.update({
                 where: { id: cred.id },
-                data: { counter: verification.authenticationInfo.newCounter },
+                data: { counter: verification.authenticationInfo.newCounter, lastUsedAt: new Date() },
             });
 
-            if (!isAutofill) {
-                loginChallenges.delete(userId);
-            }
-
             req.session.userId = user.id;
             req.session.username = user.username;
+            req.session.userAgent = req.get("user-agent");
 
             res.json({ ok: true });
         } else {
@@ -193,6 +208,47 @@ router.post("/login-response/", async (req, res) => {
     }
 });
 
+// Recovery - sign in with a one-time recovery code to enroll a new passkey
+router.post("/recover/", async (req, res) => {
+    const username = UsernameRules.foldUsername(req.body.username);
+    const code = typeof req.body.code === "string" ? req.body.code : "";
+    if (!username || !code) {
+        return res.status(400).json({ error: "Enter your username and a recovery code" });
+    }
+
+    const ipAllowed = checkRateLimit(`recover:ip:${req.ip}`, RECOVERY_IP_LIMIT, RECOVERY_WINDOW_MS);
+    const usernameAllowed = checkRateLimit(`recover:user:${username}`, RECOVERY_USERNAME_LIMIT, RECOVERY_WINDOW_MS);
+    if (!ipAllowed || !usernameAllowed) {
+        return res.status(429).json({ error: "Too many attempts, try again later" });
+    }
+
+    try {
+        const user = await findUserByTypedName(req.body.username);
+        if (!user || !(await consumeRecoveryCode(user.id, code))) {
+            return res.status(400).json({ error: "Invalid username or recovery code" });
+        }
+
+        const remaining = await countRecoveryCodes(user.id);
+        await recordAudit({
+            actorId: user.id,
+            action: "recovery_code.used",
+            targetType: "user",
+            targetId: user.id,
+            ip: req.ip,
+            details: { remaining },
+        });
+
+        req.session.userId = user.id;
+        req.session.username = user.username;
+        req.session.userAgent = req.get("user-agent");
+
+        res.json({ ok: true, remaining });
+    } catch (err) {
+        console.error("Recovery error:", err);
+        res.status(500).json({ error: "Failed to recover account" });
+    }
+});
+
 // Logout
 router.get('/logout/', async (req, res) => {
     req.session.destroy();
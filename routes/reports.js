@@ -0,0 +1,101 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const GridRules = require('../public/grid');
+const { checkRateLimit } = require('../lib/rateLimit');
+const { isRestricted } = require('../lib/moderation');
+const { capturePlantState } = require('../socket');
+
+const router = express.Router();
+
+const REPORT_REASON_MAX_LENGTH = 500;
+
+// Reports allowed per IP and per signed-in user in each window
+const REPORT_WINDOW_MS = 60 * 60 * 1000;
+const REPORT_IP_LIMIT = 10;
+const REPORT_USER_LIMIT = 5;
+
+// Tiles one report can point at, so resolving it never takes out a large part of a plant
+const REPORT_MAX_CELLS = 24;
+
+// Check the tiles a reporter picked, returning them without repeats or null
+function parseCells(cells) {
+    if (!Array.isArray(cells) || cells.length === 0 || cells.length > REPORT_MAX_CELLS) return null;
+
+    const unique = new Map();
+    for (const cell of cells) {
+        const { x, y } = cell ?? {};
+        if (!Number.isInteger(x) || !Number.isInteger(y) || !GridRules.isInBounds(x, y)) return null;
+        unique.set(GridRules.cellKey(x, y), { x, y });
+    }
+    return [...unique.values()];
+}
+
+// Report a word or some tiles of someone else's plant to the moderators
+router.post('/plant/:username/report/', async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason || reason.length > REPORT_REASON_MAX_LENGTH) {
+        return res.status(400).json({ error: `Give a reason of up to ${REPORT_REASON_MAX_LENGTH} characters` });
+    }
+
+    // A report points at one word from the plant's list or a few tiles the reporter picked
+    const word = typeof req.body.word === 'string' ? req.body.word.trim().toUpperCase() : null;
+    const cells = word ? null : parseCells(req.body.cells);
+    if (!word && !cells) {
+        return res.status(400).json({ error: `Pick a word or up to ${REPORT_MAX_CELLS} tiles of the plant` });
+    }
+
+    // Only well-formed reports count; req.ip is trustworthy since trust proxy names the real hop count
+    const ipAllowed = checkRateLimit(`report:ip:${req.ip}`, REPORT_IP_LIMIT, REPORT_WINDOW_MS);
+    const userAllowed = !req.session.userId
+        || checkRateLimit(`report:user:${req.session.userId}`, REPORT_USER_LIMIT, REPORT_WINDOW_MS);
+    if (!ipAllowed || !userAllowed) {
+        return res.status(429).json({ error: 'Too many reports, try again later' });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { username: req.params.username },
+        select: {
+            id: true,
+            plant: { select: { id: true, seed: true, visibility: true, sharing: true, words: { select: { word: true } } } }
+        }
+    });
+    // Hidden and private plants are already out of sight, and look missing to visitors
+    if (!user || !user.plant || !user.plant.seed || isRestricted(user.plant)) {
+        return res.status(404).json({ error: 'Plant not found' });
+    }
+    if (user.id === req.session.userId) {
+        return res.status(400).json({ error: 'You cannot report your own plant' });
+    }
+
+    if (word) {
+        if (!user.plant.words.some(w => w.word === word)) {
+            return res.status(400).json({ error: 'That word is not on this plant' });
+        }
+    } else {
+        // Check against the live plant, which may hold tiles not yet saved
+        const { tiles } = await capturePlantState(user.plant.id);
+        const present = new Set(tiles.map(t => GridRules.cellKey(t.x, t.y)));
+        if (!cells.every(c => present.has(GridRules.cellKey(c.x, c.y)))) {
+            return res.status(400).json({ error: 'Some picked tiles are no longer on the plant' });
+        }
+    }
+
+    try {
+        await prisma.report.create({
+            data: {
+                plantId: user.plant.id,
+                reporterId: req.session.userId ?? null,
+                word,
+                cells,
+                reason,
+                ip: req.ip
+            }
+        });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Report error:', err);
+        res.status(500).json({ error: 'Failed to send report' });
+    }
+});
+
+module.exports = router;
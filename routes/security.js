@@ -0,0 +1,228 @@
+const express = require('express');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+} = require("@simplewebauthn/server");
+const prisma = require('../lib/prisma');
+const { rpID, rpName, origin } = require('../lib/config');
+const { bufferToBase64URLString } = require('../lib/utils');
+const { recordAudit } = require('../lib/audit');
+const { challengeStore, CHALLENGE_TTL_MS } = require('../lib/challengeStore');
+const { createRecoveryCodes, countRecoveryCodes } = require('../lib/recoveryCodes');
+const { sessionStore } = require('../lib/sessionStore');
+
+const router = express.Router();
+
+// Security page - list, add and remove the signed-in user's passkeys
+router.get('/security/', async (req, res) => {
+    if (!req.session.userId) {
+        return res.redirect('/login/');
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: req.session.userId },
+        include: {
+            credentials: { orderBy: { createdAt: 'asc' } },
+            plant: { select: { sharing: true } }
+        }
+    });
+    if (!user) {
+        return res.redirect('/login/');
+    }
+
+    const passkeys = user.credentials.map(c => ({
+        id: c.id,
+        createdAt: c.createdAt,
+        lastUsedAt: c.lastUsedAt,
+        transports: c.transports ? JSON.parse(c.transports) : []
+    }));
+
+    // Session IDs stay server-side; the page only needs to know which one is this browser
+    const sessions = (await sessionStore.listUserSessions(user.id)).map(s => ({
+        userAgent: s.userAgent,
+        createdAt: s.createdAt,
+        lastActiveAt: s.lastActiveAt,
+        current: s.sid === req.sessionID
+    }));
+
+    res.render('security.ejs', {
+        userId: user.id,
+        username: user.username,
+        sharing: user.plant?.sharing ?? null,
+        passkeys,
+        sessions,
+        recoveryCodesLeft: await countRecoveryCodes(user.id),
+        recovered: req.query.recovered !== undefined
+    });
+});
+
+// Add passkey request - registration options for the signed-in user
+router.post("/security/passkey-request/", async (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { id: req.session.userId },
+        include: { credentials: true }
+    });
+    if (!user) {
+        return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    const options = await generateRegistrationOptions({
+        rpName,
+        rpID,
+        userID: new TextEncoder().encode(user.id),
+        userName: user.username,
+        timeout: CHALLENGE_TTL_MS,
+        attestationType: "none",
+        // Stop the authenticator from registering a second key for the same account
+        excludeCredentials: user.credentials.map(c => ({
+            id: c.credentialId,
+            transports: c.transports ? JSON.parse(c.transports) : undefined,
+        })),
+        authenticatorSelection: { residentKey: "preferred", userVerification: "preferred" },
+    });
+
+    await challengeStore.set(`passkey:${user.id}`, options.challenge);
+    res.json({ options });
+});
+
+// Add passkey response - verify registration and save the new credential
+router.post("/security/passkey-response/", async (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    const expectedChallenge = await challengeStore.take(`passkey:${req.session.userId}`);
+    if (!expectedChallenge) {
+        return res.status(400).json({ error: "No passkey challenge found" });
+    }
+
+    try {
+        const verification = await verifyRegistrationResponse({
+            response: req.body.attestationResponse,
+            expectedChallenge,
+            expectedOrigin: origin,
+            expectedRPID: rpID,
+        });
+
+        if (!verification.verified) {
+            return res.json({ ok: false });
+        }
+
+        const cred = verification.registrationInfo.credential;
+        const existing = await prisma.credential.findUnique({ where: { credentialId: cred.id } });
+        if (existing) {
+            return res.status(400).json({ error: "Passkey already registered" });
+        }
+
+        await prisma.credential.create({
+            data: {
+                userId: req.session.userId,
+                credentialId: cred.id,
+                publicKey: bufferToBase64URLString(Buffer.from(cred.publicKey)),
+                counter: cred.counter,
+                transports: JSON.stringify(cred.transports),
+            },
+        });
+
+        res.json({ ok: true });
+    } catch (err) {
+        console.error(err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Remove a passkey, keeping at least one so the account can still sign in
+router.delete('/security/passkeys/:id/', async (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const userId = req.session.userId;
+
+    try {
+        // Serializable so two removals at once can't both see a spare passkey
+        const result = await prisma.$transaction(async (tx) => {
+            const credential = await tx.credential.findFirst({ where: { id: req.params.id, userId } });
+            if (!credential) return 'not-found';
+
+            const count = await tx.credential.count({ where: { userId } });
+            if (count <= 1) return 'last';
+
+            await tx.credential.delete({ where: { id: credential.id } });
+            return 'removed';
+        }, { isolationLevel: 'Serializable' });
+
+        if (result === 'not-found') {
+            return res.status(404).json({ error: 'Passkey not found' });
+        }
+        if (result === 'last') {
+            return res.status(400).json({ error: 'You cannot remove your only passkey' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Passkey remove error:', err);
+        res.status(500).json({ error: 'Failed to remove passkey' });
+    }
+});
+
+// Replace the user's recovery codes, returning the new codes to show once
+router.post('/security/recovery-codes/', async (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const recoveryCodes = await prisma.$transaction(async (tx) => {
+            const codes = await createRecoveryCodes(req.session.userId, tx);
+            await recordAudit({
+                actorId: req.session.userId,
+                action: 'recovery_codes.regenerated',
+                targetType: 'user',
+                targetId: req.session.userId,
+                ip: req.ip,
+            }, tx);
+            return codes;
+        });
+        res.json({ success: true, recoveryCodes });
+    } catch (err) {
+        console.error('Recovery code error:', err);
+        res.status(500).json({ error: 'Failed to create recovery codes' });
+    }
+});
+
+// Sign out every other session for this user and drop their live connections
+router.post('/security/sessions/sign-out-others/', async (req, res) => {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+        const sids = await sessionStore.destroyUserSessions(req.session.userId, req.sessionID);
+
+        const signedOut = new Set(sids);
+        for (const socket of req.app.get('io').of('/').sockets.values()) {
+            if (signedOut.has(socket.request.sessionID)) {
+                socket.disconnect(true);
+            }
+        }
+
+        await recordAudit({
+            actorId: req.session.userId,
+            action: 'sessions.signed_out_others',
+            targetType: 'user',
+            targetId: req.session.userId,
+            ip: req.ip,
+            details: { count: sids.length },
+        });
+        res.json({ success: true, count: sids.length });
+    } catch (err) {
+        console.error('Session sign out error:', err);
+        res.status(500).json({ error: 'Failed to sign out other sessions' });
+    }
+});
+
+module.exports = router;
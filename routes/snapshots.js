@@ -0,0 +1,125 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { isSuspended } = require('../lib/moderation');
+const { capturePlantState, restorePlantState } = require('../socket');
+
+const router = express.Router();
+
+const MAX_SNAPSHOT_NAME_LENGTH = 60;
+const MAX_SNAPSHOTS_PER_PLANT = 50;
+
+// Summary fields shown in snapshot lists
+const snapshotSummary = { id: true, name: true, seed: true, createdAt: true };
+
+// Find the signed-in user's plant, or null
+async function getOwnPlant(req) {
+    if (!req.session.userId) return null;
+    return prisma.plant.findUnique({
+        where: { userId: req.session.userId },
+        select: { id: true, seed: true, locked: true, user: { select: { suspendedUntil: true } } }
+    });
+}
+
+// List the owner's snapshots, newest first
+router.get('/snapshots/', async (req, res) => {
+    const plant = await getOwnPlant(req);
+    if (!plant) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const snapshots = await prisma.plantSnapshot.findMany({
+        where: { plantId: plant.id },
+        select: snapshotSummary,
+        orderBy: { createdAt: 'desc' }
+    });
+    res.json({ snapshots });
+});
+
+// Save the current plant under a name
+router.post('/snapshots/', async (req, res) => {
+    const plant = await getOwnPlant(req);
+    if (!plant) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (!plant.seed) {
+        return res.status(400).json({ error: 'Plant a seed before saving a snapshot' });
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > MAX_SNAPSHOT_NAME_LENGTH) {
+        return res.status(400).json({ error: `Name must be 1-${MAX_SNAPSHOT_NAME_LENGTH} characters` });
+    }
+
+    const count = await prisma.plantSnapshot.count({ where: { plantId: plant.id } });
+    if (count >= MAX_SNAPSHOTS_PER_PLANT) {
+        return res.status(400).json({ error: `You can keep up to ${MAX_SNAPSHOTS_PER_PLANT} snapshots` });
+    }
+
+    try {
+        const { seed, tiles, words } = await capturePlantState(plant.id);
+        const snapshot = await prisma.plantSnapshot.create({
+            data: {
+                plantId: plant.id,
+                createdById: req.session.userId,
+                name,
+                seed,
+                tiles,
+                words
+            },
+            select: snapshotSummary
+        });
+        res.json({ success: true, snapshot });
+    } catch (err) {
+        console.error('Snapshot create error:', err);
+        res.status(500).json({ error: 'Failed to save snapshot' });
+    }
+});
+
+// Preview a snapshot's tiles and words without restoring it
+router.get('/snapshots/:id/', async (req, res) => {
+    const plant = await getOwnPlant(req);
+    if (!plant) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const snapshot = await prisma.plantSnapshot.findFirst({
+        where: { id: req.params.id, plantId: plant.id },
+        select: { ...snapshotSummary, tiles: true, words: true }
+    });
+    if (!snapshot) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    res.json({ snapshot });
+});
+
+// Replace the plant with a snapshot
+router.post('/snapshots/:id/restore/', async (req, res) => {
+    const plant = await getOwnPlant(req);
+    if (!plant) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    if (plant.locked) {
+        return res.status(403).json({ error: 'This plant is locked' });
+    }
+    if (isSuspended(plant.user)) {
+        return res.status(403).json({ error: 'Your account is suspended' });
+    }
+
+    const snapshot = await prisma.plantSnapshot.findFirst({
+        where: { id: req.params.id, plantId: plant.id }
+    });
+    if (!snapshot) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    try {
+        await restorePlantState(req.app.get('io'), plant.id, snapshot, req.session.userId);
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Snapshot restore error:', err);
+        res.status(500).json({ error: 'Failed to restore snapshot' });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,71 @@
 const express = require('express');
+const multer = require('multer');
 const prisma = require('../lib/prisma');
+const { resetPlant, restorePlantState, validateSeedWord } = require('../socket');
+const { getBlockedWords } = require('../lib/blocklist');
+const { getPlantImage } = require('../lib/plantImage');
+const { getPlantBounds, renderPlantText } = require('../lib/plantText');
+const { buildPlantExport, validatePlantImport } = require('../lib/plantExport');
+const { resolveUsernameAlias } = require('../lib/usernames');
+const { requireAdmin } = require('../lib/requireAdmin');
+const { recordAudit } = require('../lib/audit');
+const { isSuspended, isRestricted, canViewPlant, getOwnerNotices } = require('../lib/moderation');
 
 const router = express.Router();
 
+// Recorded events sent per timelapse page; longer histories load in further pages
+const TIMELAPSE_PAGE_SIZE = 2000;
+
+// Plant import files are held in memory; a full grid export is well under this
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// Turn away signed-out requests before an upload is read into memory
+function requireSignIn(req, res, next) {
+    if (!req.session.userId) {
+        return res.status(401).json({ error: 'Not authenticated' });
+    }
+    next();
+}
+
+// Accept a single uploaded plant file, reporting upload errors as JSON
+function uploadPlantFile(req, res, next) {
+    upload.single('plant')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        next();
+    });
+}
+
+// The signed-in viewer as { id, isAdmin }, or null
+async function getViewer(req) {
+    if (!req.session.userId) return null;
+    return prisma.user.findUnique({
+        where: { id: req.session.userId },
+        select: { id: true, isAdmin: true }
+    });
+}
+
+// Whether the viewer may open a plant, looking them up only for hidden and private plants
+async function viewerCanSee(req, plant) {
+    const viewer = isRestricted(plant) ? await getViewer(req) : null;
+    return canViewPlant(plant, viewer);
+}
+
+// Old usernames permanently redirect to the same plant URL under the new name
+router.param('username', async (req, res, next, username) => {
+    const user = await prisma.user.findUnique({ where: { username }, select: { id: true } });
+    if (user) return next();
+
+    const current = await resolveUsernameAlias(username);
+    if (!current) return next();
+
+    // Swap only the username segment, keeping the rest of the path and any query string
+    const segments = req.originalUrl.split('/');
+    segments[2] = encodeURIComponent(current);
+    res.redirect(301, segments.join('/'));
+});
+
 // Home page - show all plants from all users
 router.get('/', async (req, res) => {
     const userId = req.session.userId;
@@ -10,7 +73,12 @@ router.get('/', async (req, res) => {
     // Fetch all plants with their tiles and usernames (only plants with seed set)
     const plants = await prisma.plant.findMany({
         where: {
-            seed: { not: null }  // Only show plants that have a seed set
+            seed: { not: null },     // Only show plants that have a seed set
+            visibility: 'public',    // Unlisted and hidden plants stay out of the gallery
+            sharing: 'public',       // As do plants their owners unlisted or made private
+            user: {                  // So do plants of suspended users
+                OR: [{ suspendedUntil: null }, { suspendedUntil: { lte: new Date() } }]
+            }
         },
         include: {
             user: { select: { id: true, username: true } },
@@ -22,38 +90,12 @@ router.get('/', async (req, res) => {
     });
 
     // Calculate bounding box for each plant
-    const padding = 1;
-    const plantsData = plants.map(p => {
-        let minX = Infinity, maxX = -Infinity;
-        let minY = Infinity, maxY = -Infinity;
-
-        for (const t of p.tiles) {
-            minX = Math.min(minX, t.x);
-            maxX = Math.max(maxX, t.x);
-            minY = Math.min(minY, t.y);
-            maxY = Math.max(maxY, t.y);
-        }
-
-        // Add padding
-        minX = Math.max(-1, minX - padding);
-        maxX = Math.min(49, maxX + padding);
-        minY = Math.max(0, minY);
-        maxY = Math.min(48, maxY);
-
-        return {
-            userId: p.user.id,
-            username: p.user.username,
-            tiles: p.tiles,
-            bounds: {
-                minX,
-                maxX,
-                minY,
-                maxY,
-                width: maxX - minX + 1,
-                height: maxY - minY + 1
-            }
-        };
-    });
+    const plantsData = plants.map(p => ({
+        userId: p.user.id,
+        username: p.user.username,
+        tiles: p.tiles,
+        bounds: getPlantBounds(p.tiles)
+    }));
 
     // If user is logged in, move their plant to the front
     if (userId) {
@@ -64,6 +106,14 @@ router.get('/', async (req, res) => {
         }
     }
 
+    // Plain-text gallery for terminals and screen readers
+    res.vary('Accept');
+    if (req.accepts(['html', 'text']) === 'text') {
+        const markBlooming = req.query.case === 'blooming';
+        const text = plantsData.map(p => `${p.username}\n\n${renderPlantText(p.tiles, { markBlooming })}`);
+        return res.type('text/plain').send(text.join('\n'));
+    }
+
     res.render('home.ejs', {
         userId: userId,
         plants: JSON.stringify(plantsData)
@@ -86,6 +136,14 @@ router.get('/signup/', async (req, res) => {
     res.render('signup.ejs');
 });
 
+// Recovery page - sign in with a recovery code
+router.get('/recover/', async (req, res) => {
+    if (req.session.userId) {
+        return res.redirect('/security/');
+    }
+    res.render('recover.ejs');
+});
+
 // Info page
 router.get('/about/', async (req, res) => {
     const userId = req.session.userId;
@@ -102,29 +160,30 @@ router.get('/privacy/', async (req, res) => {
     });
 });
 
-router.post('/reset/', async (req, res) => {
-    const userId = req.session.userId;
+// Current blocklist, including admin overrides, for client-side filtering
+router.get('/words/blocked.txt', (req, res) => {
+    res.type('text/plain').send(getBlockedWords().join('\n'));
+});
 
-    const user = await prisma.user.findUnique({
-        where: { id: userId }
+// Reset a plant from its page (admins only)
+router.post('/reset/', requireAdmin, async (req, res) => {
+    const { plantId } = req.body;
+    const plant = await prisma.plant.findUnique({
+        where: { id: typeof plantId === 'string' ? plantId : '' },
+        select: { id: true, userId: true, seed: true }
     });
-
-    if (!user || !user.isAdmin) {
-        return res.status(403).json({ error: 'Unauthorized' });
+    if (!plant) {
+        return res.status(404).json({ error: 'Plant not found' });
     }
 
-    const { plantId } = req.body;
-    await prisma.plant.update({
-        where: { id: plantId },
-        data: {
-            seed: null,
-            tiles: {
-                deleteMany: {}
-            },
-            words: {
-                deleteMany: {}
-            }
-        }
+    await resetPlant(req.app.get('io'), plant.id, req.admin.id);
+    await recordAudit({
+        actorId: req.admin.id,
+        action: 'plant.reset',
+        targetType: 'plant',
+        targetId: plant.id,
+        ip: req.ip,
+        details: { userId: plant.userId, seed: plant.seed },
     });
     res.json({ success: true });
 });
@@ -144,7 +203,7 @@ router.get('/plant/', async (req, res) => {
         include: {
             tiles: true,
             words: true,
-            user: { select: { username: true, isAdmin: true } }
+            user: { select: { username: true, isAdmin: true, suspendedUntil: true } }
         }
     });
 
@@ -157,7 +216,7 @@ router.get('/plant/', async (req, res) => {
             include: {
                 tiles: true,
                 words: true,
-                user: { select: { username: true, isAdmin: true } }
+                user: { select: { username: true, isAdmin: true, suspendedUntil: true } }
             }
         });
     }
@@ -180,7 +239,8 @@ router.get('/plant/', async (req, res) => {
         username: plant.user.username,
         isOwner: true,
         isAdmin: plant.user.isAdmin,
-        canEdit: true,  // Owner can always edit
+        canEdit: !plant.locked && !isSuspended(plant.user),  // Owner can edit unless a moderator stepped in
+        notices: getOwnerNotices(plant, plant.user),
         seed: plant.seed || '',
         tiles: JSON.stringify(tiles),
         words: JSON.stringify(words)
@@ -224,13 +284,12 @@ router.get('/plant/:username/', async (req, res) => {
     }
 
     // Check if logged-in user is an admin (admins can edit any plant)
-    let isAdmin = false;
-    if (req.session.userId) {
-        const viewer = await prisma.user.findUnique({
-            where: { id: req.session.userId },
-            select: { isAdmin: true }
-        });
-        isAdmin = viewer?.isAdmin ?? false;
+    const viewer = await getViewer(req);
+    const isAdmin = viewer?.isAdmin ?? false;
+
+    // Hidden and private plants look missing to everyone but their owner and admins
+    if (!canViewPlant(plant, viewer)) {
+        return res.status(404).send('Plant not found');
     }
 
     // Format tiles for the frontend
@@ -252,10 +311,222 @@ router.get('/plant/:username/', async (req, res) => {
         isOwner: false,
         isAdmin: isAdmin,  // Show reset button for admins
         canEdit: isAdmin,  // Admins can edit any plant
+        notices: [],
         seed: plant.seed,
         tiles: JSON.stringify(tiles),
         words: JSON.stringify(words)
     });
 });
 
+// Send a server-rendered image of a user's plant
+async function sendPlantImage(req, res, format) {
+    const { username } = req.params;
+
+    const user = await prisma.user.findUnique({
+        where: { username },
+        include: {
+            plant: {
+                include: {
+                    tiles: {
+                        select: { x: true, y: true, letter: true, isSeed: true, blooming: true }
+                    }
+                }
+            }
+        }
+    });
+
+    if (!user || !user.plant || !user.plant.seed || !(await viewerCanSee(req, user.plant))) {
+        return res.status(404).send('Plant not found');
+    }
+
+    try {
+        const image = await getPlantImage(user.plant, username, format);
+        res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+        res.set('Last-Modified', user.plant.updatedAt.toUTCString());
+        // Only the owner and admins see a hidden or private plant, so shared caches must not keep it
+        res.set('Cache-Control', isRestricted(user.plant) ? 'private, max-age=60' : 'public, max-age=60');
+        res.send(image);
+    } catch (err) {
+        console.error('Plant image error:', err);
+        res.status(500).send('Failed to render plant');
+    }
+}
+
+// Plant images - SVG and PNG renders of a user's plant
+router.get('/plant/:username/plant.svg', (req, res) => sendPlantImage(req, res, 'svg'));
+router.get('/plant/:username/plant.png', (req, res) => sendPlantImage(req, res, 'png'));
+
+// Plant as text - blank cells are spaces; ?case=blooming lowercases withering letters
+router.get('/plant/:username/plant.txt', async (req, res) => {
+    const { username } = req.params;
+
+    const user = await prisma.user.findUnique({
+        where: { username },
+        include: {
+            plant: {
+                include: {
+                    tiles: {
+                        select: { x: true, y: true, letter: true, isSeed: true, blooming: true }
+                    }
+                }
+            }
+        }
+    });
+
+    if (!user || !user.plant || !user.plant.seed || !(await viewerCanSee(req, user.plant))) {
+        return res.status(404).type('text/plain').send('Plant not found');
+    }
+
+    res.type('text/plain');
+    res.set('Last-Modified', user.plant.updatedAt.toUTCString());
+    res.send(renderPlantText(user.plant.tiles, { markBlooming: req.query.case === 'blooming' }));
+});
+
+// Plant export - versioned JSON of a user's seed, tiles and words
+router.get('/plant/:username/export.json', async (req, res) => {
+    const { username } = req.params;
+
+    const user = await prisma.user.findUnique({
+        where: { username },
+        include: {
+            plant: {
+                include: {
+                    tiles: {
+                        select: { x: true, y: true, letter: true, isSeed: true, blooming: true },
+                        orderBy: [{ y: 'asc' }, { x: 'asc' }]
+                    },
+                    words: { select: { word: true } }
+                }
+            }
+        }
+    });
+
+    if (!user || !user.plant || !user.plant.seed || !(await viewerCanSee(req, user.plant))) {
+        return res.status(404).json({ error: 'Plant not found' });
+    }
+
+    res.attachment(`${username}-plant.json`);
+    res.json(buildPlantExport(username, user.plant));
+});
+
+// Plant import - replace the owner's plant with an uploaded export file
+router.post('/plant/import/', requireSignIn, uploadPlantFile, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Upload an export file as "plant"' });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch {
+        return res.status(400).json({ error: 'File is not valid JSON' });
+    }
+
+    const plant = await prisma.plant.findUnique({
+        where: { userId: req.session.userId },
+        select: { id: true, seed: true, locked: true, user: { select: { suspendedUntil: true } } }
+    });
+    if (!plant) {
+        return res.status(404).json({ error: 'Plant not found' });
+    }
+    if (plant.locked) {
+        return res.status(403).json({ error: 'This plant is locked' });
+    }
+    if (isSuspended(plant.user)) {
+        return res.status(403).json({ error: 'Your account is suspended' });
+    }
+
+    const result = validatePlantImport(data);
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+
+    // A planted seed can't be swapped by importing; a new plant takes the file's seed
+    if (plant.seed) {
+        if (plant.seed !== result.seed) {
+            return res.status(400).json({ error: `Export seed ${result.seed} does not match your seed ${plant.seed}` });
+        }
+    } else {
+        const seedError = validateSeedWord(result.seed);
+        if (seedError) {
+            return res.status(400).json({ error: seedError.message });
+        }
+    }
+
+    try {
+        await restorePlantState(req.app.get('io'), plant.id, result, req.session.userId);
+        res.json({ success: true, tiles: result.tiles.length });
+    } catch (err) {
+        console.error('Plant import error:', err);
+        res.status(500).json({ error: 'Failed to import plant' });
+    }
+});
+
+// One page of a plant's history after a sequence number, oldest first, with the cursor for the next page
+async function getTimelapsePage(plantId, after) {
+    const events = await prisma.tileEvent.findMany({
+        where: { plantId, seq: { gt: after } },
+        select: { seq: true, type: true, x: true, y: true, letter: true, isSeed: true, blooming: true, createdAt: true },
+        orderBy: { seq: 'asc' },
+        take: TIMELAPSE_PAGE_SIZE
+    });
+
+    return {
+        events: events.map(e => ({
+            type: e.type,
+            x: e.x,
+            y: e.y,
+            letter: e.letter,
+            isSeed: e.isSeed,
+            blooming: e.blooming,
+            time: e.createdAt.getTime()
+        })),
+        next: events.length === TIMELAPSE_PAGE_SIZE ? events[events.length - 1].seq : null
+    };
+}
+
+// Find a plant the viewer may replay, or null
+async function getTimelapsePlant(req) {
+    const user = await prisma.user.findUnique({
+        where: { username: req.params.username },
+        include: { plant: true }
+    });
+
+    if (!user || !user.plant || !user.plant.seed || !(await viewerCanSee(req, user.plant))) {
+        return null;
+    }
+    return user.plant;
+}
+
+// Timelapse page - replay how a user's plant grew, starting with the first page of its history
+router.get('/plant/:username/timelapse/', async (req, res) => {
+    const plant = await getTimelapsePlant(req);
+    if (!plant) {
+        return res.status(404).send('Plant not found');
+    }
+
+    res.render('timelapse.ejs', {
+        userId: req.session.userId || null,
+        plantId: plant.id,
+        username: req.params.username,
+        seed: plant.seed,
+        timelapse: JSON.stringify(await getTimelapsePage(plant.id, 0))
+    });
+});
+
+// Timelapse history - the page of events after ?after=<seq>, fetched while the replay plays
+router.get('/plant/:username/timelapse/events.json', async (req, res) => {
+    const after = Number(req.query.after);
+    if (!Number.isInteger(after) || after < 0) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const plant = await getTimelapsePlant(req);
+    if (!plant) {
+        return res.status(404).json({ error: 'Plant not found' });
+    }
+
+    res.json(await getTimelapsePage(plant.id, after));
+});
+
 module.exports = router;
@@ -5,9 +5,17 @@ const session = require('express-session');
 const http = require('http');
 const { Server } = require('socket.io');
 
-const { port } = require('./lib/config');
+const { port, trustProxy } = require('./lib/config');
 const authRoutes = require('./routes/auth');
 const viewRoutes = require('./routes/views');
+const adminRoutes = require('./routes/admin');
+const snapshotRoutes = require('./routes/snapshots');
+const reportRoutes = require('./routes/reports');
+const securityRoutes = require('./routes/security');
+const accountRoutes = require('./routes/account');
+const { loadOverrides } = require('./lib/blocklist');
+const { challengeStore } = require('./lib/challengeStore');
+const { sessionStore } = require('./lib/sessionStore');
 const { initializeSocket } = require('./socket');
 
 // Express app setup
@@ -33,7 +41,11 @@ const io = new Server(server, {
 
 // View engine
 app.set('view engine', 'ejs');
-app.set('trust proxy', true);
+
+// Let routes broadcast plant changes to connected viewers
+app.set('io', io);
+// Trusting every hop would let clients pick their own req.ip, and so dodge the IP rate limits
+app.set('trust proxy', trustProxy);
 
 // Body parsing
 app.use(express.json());
@@ -41,6 +53,7 @@ app.use(express.urlencoded({ extended: true }));
 
 // Session middleware (shared between Express and Socket.IO)
 const sessionMiddleware = session({
+    store: sessionStore,
     secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
@@ -57,6 +70,11 @@ io.engine.use(sessionMiddleware);
 // Routes
 app.use('/', viewRoutes);
 app.use('/', authRoutes);
+app.use('/', adminRoutes);
+app.use('/', snapshotRoutes);
+app.use('/', reportRoutes);
+app.use('/', securityRoutes);
+app.use('/', accountRoutes);
 
 // Static files
 app.use(express.static('public'));
@@ -64,6 +82,15 @@ app.use(express.static('public'));
 // Initialize WebSocket handlers
 initializeSocket(io);
 
+// Load admin blocklist overrides
+loadOverrides().catch((err) => {
+    console.error('Failed to load blocklist overrides:', err);
+});
+
+// Drop abandoned WebAuthn ceremonies and expired sessions
+challengeStore.startCleanup();
+sessionStore.startCleanup();
+
 // Start server
 server.listen(port, () => {
     console.log(`Server is running on port ${port}`);
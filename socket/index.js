@@ -1,6 +1,12 @@
 const prisma = require('../lib/prisma');
 const logger = require('../lib/logger');
-const { GRID_WIDTH, GRID_HEIGHT } = require('../lib/config');
+const GridRules = require('../public/grid');
+const dictionary = require('../lib/dictionary');
+const blocklist = require('../lib/blocklist');
+const { getEventSource, tileEventData } = require('../lib/tileEvents');
+const { recordAudit } = require('../lib/audit');
+const { isSuspended, isListed, canViewPlant } = require('../lib/moderation');
+const { getPlantBounds } = require('../lib/plantText');
 
 const rateLimitMap = new Map();
 
@@ -61,56 +67,732 @@ setInterval(() => {
 
 const tileUpdateQueues = new Map();
 
+// Last database write queued for each plant; tile writes run one after another so they commit in the
+// order the grid changed, and a flush already in flight can't put back a tile a later delete removed
+const plantWrites = new Map();
+
+// Run a database write for a plant once every write queued before it has settled
+function queuePlantWrite(plantId, write) {
+    const result = (plantWrites.get(plantId) ?? Promise.resolve()).then(write);
+    const settled = result.catch(() => {});
+    plantWrites.set(plantId, settled);
+    settled.then(() => {
+        if (plantWrites.get(plantId) === settled) plantWrites.delete(plantId);
+    });
+    return result;
+}
+
+// Authoritative grid for each plant being edited, kept in sync with accepted edits
+const plantGrids = new Map();
+
+// Whether each plant belongs in the home gallery, read from the database on first use.
+// An answer that depends on a suspension expires with it, so the plant comes back by itself.
+const galleryListings = new Map();
+
+// Read whether a plant is listed in the home gallery, and until when that holds
+async function loadGalleryListing(plantId) {
+    const plant = await prisma.plant.findUnique({
+        where: { id: plantId },
+        select: { visibility: true, sharing: true, user: { select: { suspendedUntil: true } } },
+    });
+    if (!plant) {
+        return { listed: false, expiresAt: Infinity };
+    }
+    return {
+        listed: isListed(plant, plant.user),
+        expiresAt: isSuspended(plant.user) ? plant.user.suspendedUntil.getTime() : Infinity,
+    };
+}
+
+// Resolve whether a plant's live updates may reach the home gallery. Callers share one
+// pending lookup per plant, so updates still go out in the order they were sent.
+function isGalleryListed(plantId) {
+    const cached = galleryListings.get(plantId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.listed;
+    }
+
+    const entry = { expiresAt: Infinity };
+    entry.listed = loadGalleryListing(plantId)
+        .then(({ listed, expiresAt }) => {
+            entry.expiresAt = expiresAt;
+            return listed;
+        })
+        .catch((err) => {
+            // Keep the plant out of the gallery until a lookup succeeds
+            logger.error('Gallery listing error:', err);
+            if (galleryListings.get(plantId) === entry) {
+                galleryListings.delete(plantId);
+            }
+            return false;
+        });
+    galleryListings.set(plantId, entry);
+    return entry.listed;
+}
+
+// Send a live update to the home gallery, unless the plant is kept out of it
+function emitToGallery(io, plantId, event, data) {
+    return isGalleryListed(plantId).then((listed) => {
+        if (listed) {
+            io.to('home:gallery').emit(event, data);
+        }
+    });
+}
+
+// Re-read a plant's listing after its visibility, sharing or owner's suspension changed;
+// a plant leaving or joining the gallery disappears from it or shows up in it right away
+async function updatePlantListing(io, plantId, username) {
+    galleryListings.delete(plantId);
+    if (!(await isGalleryListed(plantId))) {
+        io.to('home:gallery').emit('plant:removed', { username });
+        return;
+    }
+
+    // Galleries already showing the plant ignore this; unplanted seeds aren't shown at all
+    const { seed, tiles } = await capturePlantState(plantId);
+    if (seed) {
+        io.to('home:gallery').emit('plant:added', { username, tiles, bounds: getPlantBounds(tiles) });
+    }
+}
+
+// Admin edits to other users' plants, summarised into one audit entry per admin, plant and window
+const adminEditAudits = new Map();
+const ADMIN_EDIT_AUDIT_WINDOW_MS = 60000;
+
+// Count an admin's tile changes on someone else's plant toward its next audit entry
+function noteAdminEdit(actorId, plantId, username, ip, counts) {
+    const key = `${actorId}:${plantId}`;
+    let entry = adminEditAudits.get(key);
+    if (!entry) {
+        entry = { actorId, plantId, username, ip, counts: {} };
+        entry.timeout = setTimeout(() => flushAdminEditAudit(key), ADMIN_EDIT_AUDIT_WINDOW_MS);
+        adminEditAudits.set(key, entry);
+    }
+    for (const [type, count] of Object.entries(counts)) {
+        if (count > 0) {
+            entry.counts[type] = (entry.counts[type] ?? 0) + count;
+        }
+    }
+}
+
+// Write an admin's pending edit summary to the audit log
+async function flushAdminEditAudit(key) {
+    const entry = adminEditAudits.get(key);
+    if (!entry) return;
+    clearTimeout(entry.timeout);
+    adminEditAudits.delete(key);
+
+    try {
+        await recordAudit({
+            actorId: entry.actorId,
+            action: 'plant.edited',
+            targetType: 'plant',
+            targetId: entry.plantId,
+            ip: entry.ip,
+            details: { username: entry.username, ...entry.counts },
+        });
+    } catch (err) {
+        logger.error('Admin edit audit error:', err);
+    }
+}
+
+// Build a grid map keyed by "x,y" from tile records
+function buildGrid(tiles) {
+    const grid = new Map();
+    for (const t of tiles) {
+        grid.set(GridRules.cellKey(t.x, t.y), {
+            x: t.x,
+            y: t.y,
+            letter: t.letter,
+            isSeed: t.isSeed,
+            blooming: t.blooming,
+        });
+    }
+    return grid;
+}
+
+// Read a plant's saved grid state from the database
+async function loadGridState(plantId) {
+    const plant = await prisma.plant.findUnique({
+        where: { id: plantId },
+        select: { seed: true, tiles: true, words: { select: { word: true } } },
+    });
+    return createGridState(plant || { seed: null, tiles: [], words: [] });
+}
+
+// Get the in-memory grid state for a plant, loading it from the database if needed
+async function getPlantGrid(plantId) {
+    const existing = plantGrids.get(plantId);
+    if (existing) return existing;
+
+    const state = await loadGridState(plantId);
+
+    // Another handler may have loaded the grid while we were waiting
+    if (!plantGrids.has(plantId)) {
+        plantGrids.set(plantId, state);
+    }
+    return plantGrids.get(plantId);
+}
+
+// Get the live grid state if the plant is open, or a throwaway copy from the database otherwise,
+// so read-only HTTP paths don't leave grids cached for plants nobody is editing
+async function peekPlantState(plantId) {
+    const existing = plantGrids.get(plantId);
+    if (existing) return existing;
+
+    const state = await loadGridState(plantId);
+    return plantGrids.get(plantId) ?? state;
+}
+
+// Forget a plant's grid once nobody has it open
+function releasePlantGrid(io, plantId) {
+    if (!io.sockets.adapter.rooms.get(`plant:${plantId}`)?.size) {
+        plantGrids.delete(plantId);
+    }
+}
+
+// Build grid state (seed, tiles and owned words) from a plant record
+function createGridState(plant) {
+    return {
+        seed: plant.seed || null,
+        grid: buildGrid(plant.tiles),
+        words: new Set(plant.words.map((w) => w.word)),
+    };
+}
+
+// Drop all server-side state for a plant so the next access reloads it
+function invalidatePlantState(plantId) {
+    const queue = tileUpdateQueues.get(plantId);
+    if (queue?.timeout) {
+        clearTimeout(queue.timeout);
+    }
+    tileUpdateQueues.delete(plantId);
+    plantGrids.delete(plantId);
+    invalidatePlantCache(plantId);
+}
+
+// Forget a deleted plant and tell its viewers that it is gone. The home gallery only hears about it
+// if the plant was listed there, as read before the deletion, so unlisted usernames stay private.
+function removePlantState(io, plantId, username, wasListed) {
+    invalidatePlantState(plantId);
+    galleryListings.delete(plantId);
+    io.to(`plant:${plantId}`).emit('plant:removed', { username });
+    if (wasListed) {
+        io.to('home:gallery').emit('plant:removed', { username });
+    }
+}
+
+// Wipe a plant back to an unplanted seed, dropping it from the gallery and reloading its viewers
+async function resetPlant(io, plantId, actorId) {
+    const plant = await queuePlantWrite(plantId, () => prisma.$transaction(async (tx) => {
+        // Record the wipe so the plant's history replays correctly
+        const tiles = await tx.tile.findMany({ where: { plantId } });
+        await tx.tileEvent.createMany({
+            data: tiles.map((tile) => tileEventData(plantId, 'delete', tile, actorId)),
+        });
+
+        return tx.plant.update({
+            where: { id: plantId },
+            data: {
+                seed: null,
+                tiles: {
+                    deleteMany: {},
+                },
+                words: {
+                    deleteMany: {},
+                },
+            },
+            select: { user: { select: { username: true } } },
+        });
+    }));
+
+    invalidatePlantState(plantId);
+    io.to(`plant:${plantId}`).emit('plant:restored', { seed: null });
+    io.to('home:gallery').emit('plant:removed', { username: plant.user.username });
+}
+
+// Work out which tiles removing the given cells takes: the non-seed ones plus anything they cut off from the seed
+function planTileRemoval(state, cells) {
+    const remaining = new Map(state.grid);
+
+    // Seed tiles stay; removing the seed is a reset
+    const removedCells = [];
+    for (const { x, y } of cells) {
+        const key = GridRules.cellKey(x, y);
+        const cell = remaining.get(key);
+        if (cell && !cell.isSeed) {
+            removedCells.push(cell);
+            remaining.delete(key);
+        }
+    }
+    if (removedCells.length === 0) return [];
+
+    for (const prunedKey of GridRules.findDisconnectedLetters(remaining, state.seed)) {
+        removedCells.push(remaining.get(prunedKey));
+    }
+    return removedCells;
+}
+
+// List the tiles a moderator's removal would take from the plant as it is now
+async function previewTileRemoval(plantId, cells) {
+    const state = await peekPlantState(plantId);
+    return planTileRemoval(state, cells).map(({ x, y, letter }) => ({ x, y, letter }));
+}
+
+// Remove tiles picked by a moderator, plus anything they cut off from the seed, returning how many went
+async function removePlantTiles(io, plantId, plantUsername, cells, actorId) {
+    const state = await getPlantGrid(plantId);
+
+    try {
+        const removedCells = planTileRemoval(state, cells);
+        if (removedCells.length === 0) return 0;
+
+        for (const cell of removedCells) {
+            state.grid.delete(GridRules.cellKey(cell.x, cell.y));
+        }
+        const changed = [...recomputeBlooming(state, removedCells).values()];
+
+        // Drop queued writes for removed cells so a pending flush can't bring them back
+        const removedKeys = new Set(removedCells.map((cell) => GridRules.cellKey(cell.x, cell.y)));
+        const queue = tileUpdateQueues.get(plantId);
+        const dropped = queue ? queue.tiles.filter((t) => removedKeys.has(GridRules.cellKey(t.x, t.y))) : [];
+        if (queue) {
+            queue.tiles = queue.tiles.filter((t) => !removedKeys.has(GridRules.cellKey(t.x, t.y)));
+        }
+
+        try {
+            await queuePlantWrite(plantId, () => prisma.$transaction(async (tx) => {
+                await tx.tile.deleteMany({
+                    where: {
+                        plantId,
+                        OR: removedCells.map((cell) => ({ x: cell.x, y: cell.y })),
+                        isSeed: false,
+                    },
+                });
+                await Promise.all(bloomingUpdates(tx, plantId, changed));
+                await tx.tileEvent.createMany({
+                    data: [
+                        ...removedCells.map((cell) => tileEventData(plantId, 'delete', cell, actorId)),
+                        ...changed.map((cell) => tileEventData(plantId, 'bloom', cell, actorId)),
+                    ],
+                });
+                await touchPlant(tx, plantId);
+            }));
+        } catch (err) {
+            // Put the removed tiles and their unsaved writes back so the grid matches the database again
+            for (const cell of removedCells) {
+                state.grid.set(GridRules.cellKey(cell.x, cell.y), cell);
+            }
+            recomputeBlooming(state, removedCells);
+            requeueTileUpdates(io, plantId, plantUsername, dropped);
+            throw err;
+        }
+
+        invalidatePlantCache(plantId);
+
+        for (const cell of removedCells) {
+            const deleteData = { x: cell.x, y: cell.y, disconnected: [] };
+            io.to(`plant:${plantId}`).emit('delete', deleteData);
+            emitToGallery(io, plantId, 'plant:delete', {
+                username: plantUsername,
+                ...deleteData,
+            });
+        }
+        broadcastBlooming(io, plantId, plantUsername, changed);
+
+        await syncPlantWords(plantId, state, io);
+        return removedCells.length;
+    } finally {
+        // The grid was only loaded for this removal if nobody has the plant open
+        releasePlantGrid(io, plantId);
+    }
+}
+
+// Snapshot the authoritative state of a plant, including edits not yet flushed
+async function capturePlantState(plantId) {
+    const state = await peekPlantState(plantId);
+    return {
+        seed: state.seed,
+        tiles: [...state.grid.values()].map(({ x, y, letter, isSeed, blooming }) => ({ x, y, letter, isSeed, blooming })),
+        words: [...state.words],
+    };
+}
+
+// Replace a plant's tiles, seed and words with a saved state and reload every viewer
+async function restorePlantState(io, plantId, saved, actorId) {
+    // Pending writes belong to the plant being replaced
+    const queue = tileUpdateQueues.get(plantId);
+    if (queue?.timeout) {
+        clearTimeout(queue.timeout);
+    }
+    tileUpdateQueues.delete(plantId);
+
+    // Blooming is recomputed in case the dictionary or blocklist changed since the save
+    const state = createGridState({ seed: saved.seed, tiles: saved.tiles, words: [] });
+    recomputeBlooming(state, saved.tiles);
+    const tiles = [...state.grid.values()];
+
+    await queuePlantWrite(plantId, () => prisma.$transaction(async (tx) => {
+        const current = await tx.tile.findMany({ where: { plantId } });
+        await tx.tileEvent.createMany({
+            data: [
+                ...current.map((tile) => tileEventData(plantId, 'delete', tile, actorId)),
+                ...tiles.map((tile) => tileEventData(plantId, 'place', tile, actorId)),
+            ],
+        });
+
+        await tx.tile.deleteMany({ where: { plantId } });
+        await tx.plantWord.deleteMany({ where: { plantId } });
+        await tx.plant.update({
+            where: { id: plantId },
+            data: {
+                seed: saved.seed,
+                tiles: {
+                    create: tiles.map(({ x, y, letter, isSeed, blooming }) => ({ x, y, letter, isSeed, blooming })),
+                },
+            },
+        });
+    }));
+
+    plantGrids.set(plantId, state);
+    invalidatePlantCache(plantId);
+
+    io.to(`plant:${plantId}`).emit('plant:restored', { seed: saved.seed });
+
+    const plant = await prisma.plant.findUnique({
+        where: { id: plantId },
+        select: { user: { select: { username: true } } },
+    });
+    emitToGallery(io, plantId, 'plant:restored', {
+        username: plant?.user.username,
+        tiles,
+    });
+
+    await syncPlantWords(plantId, state, io);
+    releasePlantGrid(io, plantId);
+}
+
+// Validate a tile write against the placement rules, returning an error or null
+function validateTilePlacement(state, x, y, letter) {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || !GridRules.isInBounds(x, y)) {
+        return { code: 'OUT_OF_BOUNDS', message: 'Tile is outside the plant' };
+    }
+
+    if (!/^[A-Z]$/i.test(letter)) {
+        return { code: 'INVALID_LETTER', message: 'Tile must be a single letter A-Z' };
+    }
+
+    const existing = state.grid.get(GridRules.cellKey(x, y));
+    if (existing) {
+        // Editing an existing letter is allowed unless it belongs to the seed
+        if (existing.isSeed) {
+            return { code: 'SEED_TILE', message: 'Seed tiles cannot be changed' };
+        }
+        return null;
+    }
+
+    if (GridRules.isBlockedBySeed(state.seed, x, y)) {
+        return { code: 'BLOCKED_BY_SEED', message: 'Tile is too close to the seed' };
+    }
+
+    if (GridRules.countAdjacentLetters(state.grid, x, y) !== 1) {
+        return { code: 'INVALID_PLACEMENT', message: 'New tiles must touch exactly one letter' };
+    }
+
+    return null;
+}
+
+// Validate an undo/redo: each cell must still hold what the client expects (`from`)
+// and the result must stay connected to the seed. Returns { error } or the cells to write
+function validateRestore(state, cells) {
+    if (!Array.isArray(cells) || cells.length === 0 || cells.length > GridRules.GRID_WIDTH * GridRules.PLAYABLE_HEIGHT) {
+        return { error: { code: 'INVALID_RESTORE', message: 'Invalid history data' } };
+    }
+
+    const isLetterOrNull = (value) => value === null || (typeof value === 'string' && /^[A-Z]$/i.test(value));
+    const targets = new Map();
+
+    for (const cell of cells) {
+        const { x, y, from, to } = cell ?? {};
+        if (!Number.isInteger(x) || !Number.isInteger(y) || !GridRules.isInBounds(x, y)) {
+            return { error: { code: 'OUT_OF_BOUNDS', message: 'Tile is outside the plant' } };
+        }
+        if (!isLetterOrNull(from) || !isLetterOrNull(to)) {
+            return { error: { code: 'INVALID_LETTER', message: 'Tile must be a single letter A-Z' } };
+        }
+
+        const key = GridRules.cellKey(x, y);
+        const existing = state.grid.get(key);
+        if (existing?.isSeed) {
+            return { error: { code: 'SEED_TILE', message: 'Seed tiles cannot be changed' } };
+        }
+        if ((existing?.letter ?? null) !== (from && from.toUpperCase())) {
+            return { error: { code: 'HISTORY_CONFLICT', message: 'The plant has changed since this edit' } };
+        }
+        if (to && !existing && GridRules.isBlockedBySeed(state.seed, x, y)) {
+            return { error: { code: 'BLOCKED_BY_SEED', message: 'Tile is too close to the seed' } };
+        }
+
+        targets.set(key, { x, y, letter: to && to.toUpperCase() });
+    }
+
+    // Try the change on a copy of the grid before touching the real one
+    const grid = new Map(state.grid);
+    for (const [key, target] of targets) {
+        if (target.letter) {
+            grid.set(key, { x: target.x, y: target.y, letter: target.letter, isSeed: false, blooming: false });
+        } else {
+            grid.delete(key);
+        }
+    }
+
+    const disconnected = GridRules.findDisconnectedLetters(grid, state.seed);
+    if (disconnected.some((key) => targets.get(key)?.letter)) {
+        return { error: { code: 'INVALID_RESTORE', message: 'Restored tiles must connect to the seed' } };
+    }
+
+    // Anything else the change cuts off is pruned, like a delete, and reported back
+    // so the client can bring it back with the opposite action
+    const pruned = disconnected.map((key) => state.grid.get(key));
+    return {
+        placed: [...targets.values()].filter((t) => t.letter),
+        removed: [
+            ...[...targets.values()].filter((t) => !t.letter && state.grid.has(GridRules.cellKey(t.x, t.y))),
+            ...pruned,
+        ],
+        pruned: pruned.map(({ x, y, letter }) => ({ x, y, letter })),
+    };
+}
+
+// Seed words are 5-8 letters long
+const SEED_MIN_LENGTH = 5;
+const SEED_MAX_LENGTH = 8;
+
+// Validate a seed word, returning an error object or null when it can be planted
+function validateSeedWord(word) {
+    if (typeof word !== 'string' || word.length < SEED_MIN_LENGTH || word.length > SEED_MAX_LENGTH) {
+        return { code: 'SEED_LENGTH', message: `Seed must be ${SEED_MIN_LENGTH}-${SEED_MAX_LENGTH} letters` };
+    }
+
+    if (!/^[A-Z]+$/i.test(word)) {
+        return { code: 'SEED_NOT_LETTERS', message: 'Seed must only contain letters A-Z' };
+    }
+
+    if (blocklist.isBlocked(word)) {
+        return { code: 'BLOCKED_WORD', message: 'Seed word is not allowed' };
+    }
+
+    if (!dictionary.isWord(word)) {
+        return { code: 'SEED_NOT_A_WORD', message: 'Seed must be a dictionary word' };
+    }
+
+    return null;
+}
+
+// Reject a seed word and tell the seed input why
+function rejectSeed(socket, error) {
+    socket.emit('error', error);
+    socket.emit('seed:set:ack', { success: false, code: error.code });
+}
+
+// Check whether a run of letters counts as a word on the server (blocked words never bloom)
+function isValidWord(word) {
+    return dictionary.isWord(word) && !blocklist.isBlocked(word);
+}
+
+// Recompute blooming for every cell whose words run through the given positions
+function recomputeBlooming(state, positions) {
+    const changed = new Map();
+
+    for (const { x, y } of positions) {
+        const { affectedCells } = GridRules.getAffectedCells(state.grid, x, y);
+        for (const key of affectedCells) {
+            const cell = state.grid.get(key);
+            if (!cell || cell.isSeed) continue;
+
+            const blooming = GridRules.calculateBlooming(state.grid, cell.x, cell.y, isValidWord);
+            if (cell.blooming !== blooming) {
+                cell.blooming = blooming;
+                changed.set(key, cell);
+            }
+        }
+    }
+
+    return changed;
+}
+
+// Persist blooming changes for tiles already stored in the database
+function bloomingUpdates(client, plantId, cells) {
+    return cells.map((cell) =>
+        client.tile.updateMany({
+            where: { plantId, x: cell.x, y: cell.y, isSeed: false },
+            data: { blooming: cell.blooming },
+        })
+    );
+}
+
+// Mark the plant as changed so anything cached on Plant.updatedAt is refreshed
+function touchPlant(client, plantId) {
+    return client.plant.update({
+        where: { id: plantId },
+        data: { updatedAt: new Date() },
+    });
+}
+
+// Broadcast blooming changes to the plant room and home gallery
+function broadcastBlooming(io, plantId, plantUsername, cells) {
+    if (cells.length === 0) return;
+
+    const tiles = cells.map((cell) => ({ x: cell.x, y: cell.y, blooming: cell.blooming }));
+    io.to(`plant:${plantId}`).emit('tiles:updated', { tiles });
+    emitToGallery(io, plantId, 'plant:tiles:updated', {
+        username: plantUsername,
+        tiles,
+    });
+}
+
+// Derive the plant's words from the grid and persist the difference
+async function syncPlantWords(plantId, state, io) {
+    const words = GridRules.getWordsOnGrid(state.grid, isValidWord);
+    const added = [...words].filter((w) => !state.words.has(w));
+    const removed = [...state.words].filter((w) => !words.has(w));
+
+    if (added.length === 0 && removed.length === 0) {
+        return { added, removed };
+    }
+
+    // Update in memory first so overlapping syncs diff against the latest list
+    state.words = words;
+
+    await prisma.$transaction(async (tx) => {
+        if (removed.length > 0) {
+            await tx.plantWord.deleteMany({
+                where: { plantId, word: { in: removed } },
+            });
+        }
+        if (added.length > 0) {
+            await tx.plantWord.createMany({
+                data: added.map((word) => ({ plantId, word })),
+                skipDuplicates: true,
+            });
+        }
+    });
+
+    io.to(`plant:${plantId}`).emit('words:changed', { added, removed });
+    return { added, removed };
+}
+
+// Reject a tile write and roll the sender back to the server's version of the cell
+function rejectTile(socket, state, x, y, error) {
+    socket.emit('error', error);
+    socket.emit('tile:ack', { x, y, success: false, code: error.code });
+
+    if (!Number.isInteger(x) || !Number.isInteger(y)) return;
+
+    const cell = state?.grid.get(GridRules.cellKey(x, y));
+    socket.emit('tile', cell
+        ? { ...cell }
+        : { x, y, letter: null, isSeed: false, blooming: false });
+}
+
 async function flushTileUpdates(plantId, io, plantUsername) {
     const queue = tileUpdateQueues.get(plantId);
     if (!queue || queue.tiles.length === 0) return;
 
-    const tiles = [...queue.tiles];
+    const state = plantGrids.get(plantId);
+    if (!state) return;
+
+    const entries = queue.tiles.filter((t) => state.grid.has(GridRules.cellKey(t.x, t.y)));
+    const queuedKeys = new Set(queue.tiles.map((t) => GridRules.cellKey(t.x, t.y)));
     queue.tiles = [];
 
+    // Write what the grid holds now, with blooming worked out by the server
+    const positions = entries.map((t) => state.grid.get(GridRules.cellKey(t.x, t.y)));
+    const changed = recomputeBlooming(state, positions);
+    const neighbors = [...changed.entries()]
+        .filter(([key]) => !queuedKeys.has(key))
+        .map(([, cell]) => cell);
+
+    // Record history: one event per queued cell, plus blooms it caused nearby
+    const last = entries[entries.length - 1];
+    const events = [
+        ...entries.map((t, i) => tileEventData(plantId, t.type, positions[i], t.actorId, t.source)),
+        ...neighbors.map((cell) => tileEventData(plantId, 'bloom', cell, last?.actorId, last?.source)),
+    ];
+
     try {
-        // Batch upsert all tiles in a transaction
-        await prisma.$transaction(
-            tiles.map(({ x, y, letter, blooming }) =>
+        // Batch upsert all tiles in a transaction, after any write to this plant still in flight
+        await queuePlantWrite(plantId, () => prisma.$transaction([
+            ...positions.map(({ x, y, letter, blooming }) =>
                 prisma.tile.upsert({
                     where: { plantId_x_y: { plantId, x, y } },
-                    update: { letter: letter.toUpperCase(), blooming: blooming ?? false },
+                    update: { letter, blooming },
                     create: {
                         plantId,
                         x,
                         y,
-                        letter: letter.toUpperCase(),
+                        letter,
                         isSeed: false,
-                        blooming: blooming ?? false,
+                        blooming,
                     },
                 })
-            )
-        );
+            ),
+            ...bloomingUpdates(prisma, plantId, neighbors),
+            prisma.tileEvent.createMany({ data: events }),
+            touchPlant(prisma, plantId),
+        ]));
 
         // Broadcast all tiles to plant room and home gallery
-        for (const tile of tiles) {
+        for (const tile of positions) {
             const tileData = {
                 x: tile.x,
                 y: tile.y,
-                letter: tile.letter.toUpperCase(),
+                letter: tile.letter,
                 isSeed: false,
-                blooming: tile.blooming ?? false,
+                blooming: tile.blooming,
             };
 
             io.to(`plant:${plantId}`).emit('tile', tileData);
-            io.to('home:gallery').emit('plant:tile', {
+            emitToGallery(io, plantId, 'plant:tile', {
                 username: plantUsername,
                 ...tileData,
             });
         }
+        broadcastBlooming(io, plantId, plantUsername, neighbors);
 
         // Invalidate cache after batch update
         invalidatePlantCache(plantId);
+
+        await syncPlantWords(plantId, state, io);
     } catch (err) {
         logger.error('Batch tile flush error:', err);
     }
 }
 
+// Put back queued writes that a failed removal had dropped, so the next flush still saves them
+function requeueTileUpdates(io, plantId, plantUsername, entries) {
+    if (entries.length === 0) return;
+
+    if (!tileUpdateQueues.has(plantId)) {
+        tileUpdateQueues.set(plantId, { tiles: [], timeout: null });
+    }
+    const queue = tileUpdateQueues.get(plantId);
+
+    // Writes queued since then are newer and win
+    for (const entry of entries) {
+        if (!queue.tiles.some((t) => t.x === entry.x && t.y === entry.y)) {
+            queue.tiles.push(entry);
+        }
+    }
+
+    if (queue.timeout) {
+        clearTimeout(queue.timeout);
+    }
+    queue.timeout = setTimeout(() => {
+        flushTileUpdates(plantId, io, plantUsername);
+    }, 100);
+}
+
 function initializeSocket(io) {
     io.on('connection', async (socket) => {
         const session = socket.request.session;
@@ -163,15 +845,24 @@ function initializeSocket(io) {
             isOwner = viewerId === targetUser.id;
             plantUsername = targetUsername;
 
-            // Check if viewer is an admin (admins can edit any plant)
+            // Check if viewer is an admin (admins can edit any plant, even a locked one)
+            let viewer = null;
             if (viewerId && !isOwner) {
-                const viewer = await prisma.user.findUnique({
+                viewer = await prisma.user.findUnique({
                     where: { id: viewerId },
-                    select: { isAdmin: true },
+                    select: { id: true, isAdmin: true },
                 });
                 canEdit = viewer?.isAdmin ?? false;
             } else {
-                canEdit = isOwner;
+                canEdit = isOwner && !plant.locked && !isSuspended(targetUser);
+            }
+
+            // Hidden and private plants don't exist as far as other visitors can tell
+            if (!isOwner && !canViewPlant(plant, viewer)) {
+                logger.log(`Restricted plant requested for user: ${targetUsername}`);
+                socket.emit('error', { message: 'Plant not found' });
+                socket.disconnect();
+                return;
             }
 
             logger.log(
@@ -192,7 +883,7 @@ function initializeSocket(io) {
                 include: {
                     tiles: true,
                     words: true,
-                    user: { select: { username: true } },
+                    user: { select: { username: true, suspendedUntil: true } },
                 },
             });
 
@@ -204,22 +895,35 @@ function initializeSocket(io) {
                     include: {
                         tiles: true,
                         words: true,
-                        user: { select: { username: true } },
+                        user: { select: { username: true, suspendedUntil: true } },
                     },
                 });
             }
 
             isOwner = true;
-            canEdit = true; // Owner can always edit
+            canEdit = !plant.locked && !isSuspended(plant.user); // Owner can edit unless a moderator stepped in
             plantUsername = plant.user.username;
             logger.log(`User ${viewerId} (${plantUsername}) connected to their own plant`);
         }
 
         const plantId = plant.id;
 
+        // Admins editing someone else's plant leave a trail in the audit log
+        const auditEdits = canEdit && !isOwner;
+        const noteEdit = (counts) => {
+            if (auditEdits) {
+                noteAdminEdit(viewerId, plantId, plantUsername, socket.handshake.address, counts);
+            }
+        };
+
         // Cache the plant data
         setCachedPlant(plantId, plant);
 
+        // Seed the authoritative grid unless edits are already being tracked
+        if (!plantGrids.has(plantId)) {
+            plantGrids.set(plantId, createGridState(plant));
+        }
+
         // Join a room for this plant
         socket.join(`plant:${plantId}`);
 
@@ -244,11 +948,17 @@ function initializeSocket(io) {
                 return;
             }
 
+            if (!canEdit) {
+                socket.emit('error', { message: 'Not authorized to edit this plant' });
+                return;
+            }
+
             const { word } = data;
 
-            // Validate seed word
-            if (typeof word !== 'string' || word.length < 5 || word.length > 8) {
-                socket.emit('error', { message: 'Seed must be 5-8 letters' });
+            // Validate seed word against the server dictionary
+            const seedError = validateSeedWord(word);
+            if (seedError) {
+                rejectSeed(socket, seedError);
                 return;
             }
 
@@ -260,22 +970,28 @@ function initializeSocket(io) {
                 });
 
                 if (currentPlant?.seed) {
-                    socket.emit('error', { message: 'Seed already set' });
+                    rejectSeed(socket, { code: 'SEED_ALREADY_SET', message: 'Seed already set' });
                     return;
                 }
 
                 const seedWord = word.toUpperCase();
 
-                // Calculate seed position (center bottom)
-                const seedX = Math.floor(GRID_WIDTH / 2);
-                const seedStartY = GRID_HEIGHT - seedWord.length;
-
                 // Use transaction for atomic seed creation
                 const updatedPlant = await prisma.$transaction(async (tx) => {
-                    // Delete any existing tiles first (in case of data corruption)
+                    // Delete any existing tiles and words first (in case of data corruption)
                     await tx.tile.deleteMany({
                         where: { plantId: plantId },
                     });
+                    await tx.plantWord.deleteMany({
+                        where: { plantId: plantId },
+                    });
+
+                    // Planting the seed starts the plant's history
+                    await tx.tileEvent.createMany({
+                        data: GridRules.getSeedCells(seedWord).map((cell) =>
+                            tileEventData(plantId, 'place', { ...cell, isSeed: true, blooming: true }, viewerId)
+                        ),
+                    });
 
                     // Update plant with seed and create seed tiles
                     return tx.plant.update({
@@ -283,10 +999,11 @@ function initializeSocket(io) {
                         data: {
                             seed: seedWord,
                             tiles: {
-                                create: seedWord.split('').map((letter, i) => ({
-                                    x: seedX,
-                                    y: seedStartY + i,
-                                    letter: letter,
+                                // Seed column sits at the center bottom of the grid
+                                create: GridRules.getSeedCells(seedWord).map(({ x, y, letter }) => ({
+                                    x,
+                                    y,
+                                    letter,
                                     isSeed: true,
                                     blooming: true,
                                 })),
@@ -296,8 +1013,10 @@ function initializeSocket(io) {
                     });
                 });
 
-                // Invalidate cache
+                // Invalidate cache and reset the grid to the new seed
                 invalidatePlantCache(plantId);
+                const state = createGridState({ ...updatedPlant, words: [] });
+                plantGrids.set(plantId, state);
 
                 // Format tiles for response
                 const tiles = updatedPlant.tiles.map((t) => ({
@@ -316,30 +1035,67 @@ function initializeSocket(io) {
                 });
 
                 logger.log(`Seed set for plant ${plantId}: ${seedWord}`);
+
+                // The seed itself is the plant's first word
+                syncPlantWords(plantId, state, io).catch((err) => {
+                    logger.error('Words sync error:', err);
+                });
             } catch (err) {
                 logger.error('Seed set error:', err);
-                socket.emit('error', { message: 'Failed to set seed' });
+                rejectSeed(socket, { code: 'SEED_FAILED', message: 'Failed to set seed' });
             }
         });
 
+        // Every outcome is acknowledged, since the client makes an edit undoable only once it is accepted
         socket.on('tile', async (data) => {
+            const { x, y, letter } = data ?? {};
+
             if (!checkRateLimit(socket.id, 'tile', 30, 1000)) {
+                socket.emit('tile:ack', { x, y, success: false, code: 'RATE_LIMITED' });
                 return;
             }
 
             if (!canEdit) {
                 socket.emit('error', { message: 'Not authorized to edit this plant' });
+                socket.emit('tile:ack', { x, y, success: false, code: 'NOT_AUTHORIZED' });
                 return;
             }
 
-            const { x, y, letter, blooming } = data;
-
             // Validate input
             if (typeof x !== 'number' || typeof y !== 'number' || typeof letter !== 'string') {
-                socket.emit('error', { message: 'Invalid tile data' });
+                socket.emit('error', { code: 'INVALID_TILE', message: 'Invalid tile data' });
+                socket.emit('tile:ack', { x, y, success: false, code: 'INVALID_TILE' });
+                return;
+            }
+
+            let state;
+            try {
+                state = await getPlantGrid(plantId);
+            } catch (err) {
+                logger.error('Plant grid load error:', err);
+                socket.emit('error', { message: 'Failed to load plant' });
+                socket.emit('tile:ack', { x, y, success: false, code: 'LOAD_FAILED' });
+                return;
+            }
+
+            const placementError = validateTilePlacement(state, x, y, letter);
+            if (placementError) {
+                rejectTile(socket, state, x, y, placementError);
                 return;
             }
 
+            // Apply to the authoritative grid so following edits validate against it;
+            // blooming is recomputed by the server when the queue flushes
+            const key = GridRules.cellKey(x, y);
+            const type = state.grid.has(key) ? 'edit' : 'place';
+            state.grid.set(key, {
+                x,
+                y,
+                letter: letter.toUpperCase(),
+                isSeed: false,
+                blooming: state.grid.get(key)?.blooming ?? false,
+            });
+
             // Initialize queue for this plant if needed
             if (!tileUpdateQueues.has(plantId)) {
                 tileUpdateQueues.set(plantId, { tiles: [], timeout: null });
@@ -347,16 +1103,22 @@ function initializeSocket(io) {
 
             const queue = tileUpdateQueues.get(plantId);
 
-            // Add tile to queue
+            // Add tile to queue, remembering who changed it for the history
+            const entry = { x, y, type, actorId: viewerId, source: getEventSource(data) };
             const existingIdx = queue.tiles.findIndex((t) => t.x === x && t.y === y);
             if (existingIdx >= 0) {
-                queue.tiles[existingIdx] = { x, y, letter, blooming };
+                // A cell placed and then edited before the flush is still a placement
+                if (queue.tiles[existingIdx].type === 'place') {
+                    entry.type = 'place';
+                }
+                queue.tiles[existingIdx] = entry;
             } else {
-                queue.tiles.push({ x, y, letter, blooming });
+                queue.tiles.push(entry);
             }
 
             // Acknowledge immediately
             socket.emit('tile:ack', { x, y, success: true });
+            noteEdit({ [type]: 1 });
 
             // Debounce the flush
             if (queue.timeout) {
@@ -385,37 +1147,49 @@ function initializeSocket(io) {
                 return;
             }
 
+            let state;
+            try {
+                state = await getPlantGrid(plantId);
+            } catch (err) {
+                logger.error('Plant grid load error:', err);
+                socket.emit('error', { message: 'Failed to load plant' });
+                return;
+            }
+
+            // The client's blooming values are only a hint: recompute from the grid
+            const positions = tiles.filter((t) => Number.isInteger(t?.x) && Number.isInteger(t?.y));
+            const changed = [...recomputeBlooming(state, positions).values()];
+
             try {
                 // Use transaction for batch update
-                await prisma.$transaction(
-                    tiles.map((tile) =>
-                        prisma.tile.updateMany({
-                            where: {
-                                plantId,
-                                x: tile.x,
-                                y: tile.y,
-                                isSeed: false,
-                            },
-                            data: {
-                                blooming: tile.blooming ?? false,
-                            },
-                        })
-                    )
-                );
+                await queuePlantWrite(plantId, () => prisma.$transaction([
+                    ...bloomingUpdates(prisma, plantId, changed),
+                    prisma.tileEvent.createMany({
+                        data: changed.map((cell) => tileEventData(plantId, 'bloom', cell, viewerId, getEventSource(data))),
+                    }),
+                    touchPlant(prisma, plantId),
+                ]));
 
                 // Invalidate cache
                 invalidatePlantCache(plantId);
 
-                // Broadcast to other clients viewing this plant
-                socket.to(`plant:${plantId}`).emit('tiles:updated', { tiles });
-
-                // Broadcast to home gallery viewers
-                io.to('home:gallery').emit('plant:tiles:updated', {
-                    username: plantUsername,
-                    tiles,
-                });
+                // Broadcast to everyone viewing this plant and the home gallery
+                broadcastBlooming(io, plantId, plantUsername, changed);
+
+                // Correct the sender wherever it disagreed with the server
+                const corrections = positions
+                    .map((t) => state.grid.get(GridRules.cellKey(t.x, t.y)))
+                    .filter((cell) => cell && !cell.isSeed)
+                    .filter((cell) => {
+                        const claimed = positions.find((t) => t.x === cell.x && t.y === cell.y);
+                        return (claimed.blooming ?? false) !== cell.blooming;
+                    })
+                    .map((cell) => ({ x: cell.x, y: cell.y, blooming: cell.blooming }));
+                if (corrections.length > 0) {
+                    socket.emit('tiles:updated', { tiles: corrections });
+                }
 
-                socket.emit('tiles:update:ack', { success: true, count: tiles.length });
+                socket.emit('tiles:update:ack', { success: true, count: changed.length });
             } catch (err) {
                 logger.error('Batch tile update error:', err);
                 socket.emit('error', { message: 'Failed to update tiles' });
@@ -423,63 +1197,270 @@ function initializeSocket(io) {
         });
 
         socket.on('delete', async (data) => {
+            const { x, y } = data ?? {};
+
             if (!checkRateLimit(socket.id, 'delete', 20, 1000)) {
+                socket.emit('delete:ack', { x, y, success: false, code: 'RATE_LIMITED' });
                 return;
             }
 
             if (!canEdit) {
                 socket.emit('error', { message: 'Not authorized to edit this plant' });
+                socket.emit('delete:ack', { x, y, success: false, code: 'NOT_AUTHORIZED' });
                 return;
             }
 
-            const { x, y, disconnected = [] } = data;
+            if (!Number.isInteger(x) || !Number.isInteger(y)) {
+                socket.emit('error', { code: 'INVALID_TILE', message: 'Invalid tile data' });
+                socket.emit('delete:ack', { x, y, success: false, code: 'INVALID_TILE' });
+                return;
+            }
 
+            let state;
             try {
-                // Use transaction for atomic deletion
-                await prisma.$transaction(async (tx) => {
-                    // Delete the main tile (only if not a seed)
+                state = await getPlantGrid(plantId);
+            } catch (err) {
+                logger.error('Plant grid load error:', err);
+                socket.emit('error', { message: 'Failed to load plant' });
+                socket.emit('delete:ack', { x, y, success: false, code: 'LOAD_FAILED' });
+                return;
+            }
+
+            if (!GridRules.isEditableCell(state.grid, x, y)) {
+                socket.emit('error', { code: 'INVALID_DELETE', message: 'Tile cannot be deleted' });
+                socket.emit('delete:ack', { x, y, success: false, code: 'INVALID_DELETE' });
+                return;
+            }
+
+            // Remove the tile and everything it cut off from the seed before any await,
+            // so edits arriving meanwhile validate against the pruned grid
+            const key = GridRules.cellKey(x, y);
+            const removedCells = [state.grid.get(key)];
+            state.grid.delete(key);
+            for (const prunedKey of GridRules.findDisconnectedLetters(state.grid, state.seed)) {
+                removedCells.push(state.grid.get(prunedKey));
+                state.grid.delete(prunedKey);
+            }
+            const disconnected = removedCells.slice(1).map((cell) => ({ x: cell.x, y: cell.y, letter: cell.letter }));
+            const changed = [...recomputeBlooming(state, [{ x, y }]).values()];
+            const source = getEventSource(data);
+
+            // Drop queued writes for removed cells so a pending flush can't bring them back
+            const queue = tileUpdateQueues.get(plantId);
+            const removedKeys = new Set(removedCells.map((cell) => GridRules.cellKey(cell.x, cell.y)));
+            const dropped = queue ? queue.tiles.filter((t) => removedKeys.has(GridRules.cellKey(t.x, t.y))) : [];
+            if (queue) {
+                queue.tiles = queue.tiles.filter((t) => !removedKeys.has(GridRules.cellKey(t.x, t.y)));
+            }
+
+            try {
+                // Use transaction for atomic deletion of the tile and its cut-off branch,
+                // after any flush of this plant still in flight so it can't restore them
+                await queuePlantWrite(plantId, () => prisma.$transaction(async (tx) => {
                     await tx.tile.deleteMany({
                         where: {
                             plantId,
-                            x,
-                            y,
+                            OR: removedCells.map((cell) => ({ x: cell.x, y: cell.y })),
                             isSeed: false,
                         },
                     });
+                    await Promise.all(bloomingUpdates(tx, plantId, changed));
+                    await tx.tileEvent.createMany({
+                        data: [
+                            ...removedCells.map((cell) => tileEventData(plantId, 'delete', cell, viewerId, source)),
+                            ...changed.map((cell) => tileEventData(plantId, 'bloom', cell, viewerId, source)),
+                        ],
+                    });
+                    await touchPlant(tx, plantId);
+                }));
+            } catch (err) {
+                logger.error('Tile delete error:', err);
+                socket.emit('error', { message: 'Failed to delete tile' });
+                socket.emit('delete:ack', { x, y, success: false, code: 'DELETE_FAILED' });
+
+                // Put the removed tiles and their unsaved writes back so the grid matches the database again
+                for (const cell of removedCells) {
+                    state.grid.set(GridRules.cellKey(cell.x, cell.y), cell);
+                }
+                recomputeBlooming(state, [{ x, y }]);
+                requeueTileUpdates(io, plantId, plantUsername, dropped);
+                return;
+            }
+
+            // Invalidate cache
+            invalidatePlantCache(plantId);
+
+            const deleteData = { x, y, disconnected };
 
-                    // Delete any disconnected tiles
-                    if (disconnected.length > 0) {
+            // Broadcast the authoritative deletion to everyone viewing this plant,
+            // including the sender in case its own pruning disagreed
+            io.to(`plant:${plantId}`).emit('delete', deleteData);
+
+            // Broadcast to home gallery viewers
+            emitToGallery(io, plantId, 'plant:delete', {
+                username: plantUsername,
+                ...deleteData,
+            });
+
+            broadcastBlooming(io, plantId, plantUsername, changed);
+
+            // Acknowledge to sender
+            socket.emit('delete:ack', { x, y, success: true, disconnected });
+            noteEdit({ delete: removedCells.length });
+
+            // The deletion is saved either way; a failed word sync is caught up by the next one
+            try {
+                await syncPlantWords(plantId, state, io);
+            } catch (err) {
+                logger.error('Plant words sync error:', err);
+            }
+        });
+
+        // Undo and redo both restore cells to an earlier state the client remembers
+        // Every outcome is acknowledged, since the client holds further undo and redo until it hears back
+        const handleHistory = (event) => async (data) => {
+            if (!checkRateLimit(socket.id, event, 10, 1000)) {
+                socket.emit('error', { message: 'Rate limited' });
+                socket.emit(`${event}:ack`, { success: false, code: 'RATE_LIMITED' });
+                return;
+            }
+
+            if (!canEdit) {
+                socket.emit('error', { message: 'Not authorized to edit this plant' });
+                socket.emit(`${event}:ack`, { success: false, code: 'NOT_AUTHORIZED' });
+                return;
+            }
+
+            let state;
+            try {
+                state = await getPlantGrid(plantId);
+            } catch (err) {
+                logger.error('Plant grid load error:', err);
+                socket.emit('error', { message: 'Failed to load plant' });
+                socket.emit(`${event}:ack`, { success: false, code: 'LOAD_FAILED' });
+                return;
+            }
+
+            const result = validateRestore(state, data?.cells);
+            if (result.error) {
+                socket.emit('error', result.error);
+                socket.emit(`${event}:ack`, { success: false, code: result.error.code });
+                return;
+            }
+
+            const { placed, removed, pruned } = result;
+
+            // Apply before any await so following edits validate against the restored grid
+            const previous = new Map();
+            for (const cell of [...placed, ...removed]) {
+                const key = GridRules.cellKey(cell.x, cell.y);
+                previous.set(key, state.grid.get(key) ?? null);
+            }
+            for (const cell of removed) {
+                state.grid.delete(GridRules.cellKey(cell.x, cell.y));
+            }
+            const placedCells = placed.map(({ x, y, letter }) => {
+                const cell = { x, y, letter, isSeed: false, blooming: false };
+                state.grid.set(GridRules.cellKey(x, y), cell);
+                return cell;
+            });
+            const changed = recomputeBlooming(state, [...placed, ...removed]);
+            const neighbors = [...changed.entries()]
+                .filter(([key]) => !previous.has(key))
+                .map(([, cell]) => cell);
+
+            // Restored cells replace anything still waiting to be flushed
+            const queue = tileUpdateQueues.get(plantId);
+            const dropped = queue ? queue.tiles.filter((t) => previous.has(GridRules.cellKey(t.x, t.y))) : [];
+            if (queue) {
+                queue.tiles = queue.tiles.filter((t) => !previous.has(GridRules.cellKey(t.x, t.y)));
+            }
+
+            try {
+                await queuePlantWrite(plantId, () => prisma.$transaction(async (tx) => {
+                    if (removed.length > 0) {
                         await tx.tile.deleteMany({
                             where: {
                                 plantId,
-                                OR: disconnected.map((pos) => ({ x: pos.x, y: pos.y })),
+                                OR: removed.map((cell) => ({ x: cell.x, y: cell.y })),
                                 isSeed: false,
                             },
                         });
                     }
-                });
-
-                // Invalidate cache
-                invalidatePlantCache(plantId);
-
-                const deleteData = { x, y, disconnected };
+                    for (const { x, y, letter, blooming } of placedCells) {
+                        await tx.tile.upsert({
+                            where: { plantId_x_y: { plantId, x, y } },
+                            update: { letter, blooming },
+                            create: { plantId, x, y, letter, isSeed: false, blooming },
+                        });
+                    }
+                    await Promise.all(bloomingUpdates(tx, plantId, neighbors));
+                    await tx.tileEvent.createMany({
+                        data: [
+                            ...removed.map((cell) => tileEventData(plantId, 'delete', cell, viewerId)),
+                            ...placedCells.map((cell) => tileEventData(
+                                plantId,
+                                previous.get(GridRules.cellKey(cell.x, cell.y)) ? 'edit' : 'place',
+                                cell,
+                                viewerId
+                            )),
+                            ...neighbors.map((cell) => tileEventData(plantId, 'bloom', cell, viewerId)),
+                        ],
+                    });
+                    await touchPlant(tx, plantId);
+                }));
+            } catch (err) {
+                logger.error('History restore error:', err);
+                socket.emit('error', { message: 'Failed to restore tiles' });
+                socket.emit(`${event}:ack`, { success: false, code: 'RESTORE_FAILED' });
+
+                // Put the grid and the unsaved writes back the way they were
+                for (const [key, cell] of previous) {
+                    if (cell) {
+                        state.grid.set(key, cell);
+                    } else {
+                        state.grid.delete(key);
+                    }
+                }
+                recomputeBlooming(state, [...placed, ...removed]);
+                requeueTileUpdates(io, plantId, plantUsername, dropped);
+                return;
+            }
 
-                // Broadcast to other clients viewing this plant
-                socket.to(`plant:${plantId}`).emit('delete', deleteData);
+            invalidatePlantCache(plantId);
 
-                // Broadcast to home gallery viewers
-                io.to('home:gallery').emit('plant:delete', {
+            // Broadcast through the regular tile events so every viewer follows along
+            for (const cell of removed) {
+                const deleteData = { x: cell.x, y: cell.y, disconnected: [] };
+                io.to(`plant:${plantId}`).emit('delete', deleteData);
+                emitToGallery(io, plantId, 'plant:delete', {
                     username: plantUsername,
                     ...deleteData,
                 });
+            }
+            for (const cell of placedCells) {
+                const tileData = { ...cell };
+                io.to(`plant:${plantId}`).emit('tile', tileData);
+                emitToGallery(io, plantId, 'plant:tile', {
+                    username: plantUsername,
+                    ...tileData,
+                });
+            }
+            broadcastBlooming(io, plantId, plantUsername, neighbors);
 
-                // Acknowledge to sender
-                socket.emit('delete:ack', { x, y, success: true });
+            socket.emit(`${event}:ack`, { success: true, placed: placed.length, removed: removed.length, pruned });
+            noteEdit({ place: placed.length, delete: removed.length });
+
+            // The restore is saved either way; a failed word sync is caught up by the next one
+            try {
+                await syncPlantWords(plantId, state, io);
             } catch (err) {
-                logger.error('Tile delete error:', err);
-                socket.emit('error', { message: 'Failed to delete tile' });
+                logger.error('Plant words sync error:', err);
             }
-        });
+        };
+
+        socket.on('tiles:undo', handleHistory('tiles:undo'));
+        socket.on('tiles:redo', handleHistory('tiles:redo'));
 
         socket.on('words:sync', async (data) => {
             if (!checkRateLimit(socket.id, 'words:sync', 5, 1000)) {
@@ -494,53 +1475,37 @@ function initializeSocket(io) {
 
             const { add = [], remove = [] } = data;
 
-            try {
-                // Normalize words to add
-                const wordsToAdd = (Array.isArray(add) ? add : [])
-                    .map((w) => w.trim().toUpperCase())
-                    .filter((w) => w.length >= 2);
-
-                // Normalize words to remove
-                const wordsToRemove = (Array.isArray(remove) ? remove : [])
-                    .map((w) => w.trim().toUpperCase())
-                    .filter((w) => w.length >= 2);
-
-                // Use transaction for atomic word operations
-                await prisma.$transaction(async (tx) => {
-                    // Remove expanded words first
-                    if (wordsToRemove.length > 0) {
-                        await tx.plantWord.deleteMany({
-                            where: {
-                                plantId,
-                                word: { in: wordsToRemove },
-                            },
-                        });
-                    }
+            // Normalize the words the client believes changed
+            const normalize = (list) => (Array.isArray(list) ? list : [])
+                .filter((w) => typeof w === 'string')
+                .map((w) => w.trim().toUpperCase());
+            const claimedAdd = normalize(add);
+            const claimedRemove = normalize(remove);
 
-                    // Add new words
-                    if (wordsToAdd.length > 0) {
-                        await tx.plantWord.createMany({
-                            data: wordsToAdd.map((word) => ({
-                                plantId,
-                                word,
-                            })),
-                            skipDuplicates: true,
-                        });
-                    }
-                });
+            // Blocked words never reach the word list, whatever the grid spells
+            if (claimedAdd.some((w) => blocklist.isBlocked(w))) {
+                socket.emit('error', { code: 'BLOCKED_WORD', message: 'Blocked words are not added to the plant' });
+            }
+
+            try {
+                // The word list is derived from the grid, not taken from the client
+                const state = await getPlantGrid(plantId);
+                const { added, removed } = await syncPlantWords(plantId, state, io);
 
                 // Acknowledge to sender
                 socket.emit('words:sync:ack', {
                     success: true,
-                    added: wordsToAdd.length,
-                    removed: wordsToRemove.length,
+                    added: added.length,
+                    removed: removed.length,
                 });
 
-                // Broadcast changes to other clients
-                if (wordsToAdd.length > 0 || wordsToRemove.length > 0) {
-                    socket.to(`plant:${plantId}`).emit('words:changed', {
-                        added: wordsToAdd,
-                        removed: wordsToRemove,
+                // Correct the sender wherever its claims disagree with the grid
+                const rejectedAdd = claimedAdd.filter((w) => !state.words.has(w));
+                const rejectedRemove = claimedRemove.filter((w) => state.words.has(w));
+                if (rejectedAdd.length > 0 || rejectedRemove.length > 0) {
+                    socket.emit('words:changed', {
+                        added: rejectedRemove,
+                        removed: rejectedAdd,
                     });
                 }
             } catch (err) {
@@ -556,11 +1521,31 @@ function initializeSocket(io) {
             const queue = tileUpdateQueues.get(plantId);
             if (queue && queue.timeout) {
                 clearTimeout(queue.timeout);
-                // Flush remaining tiles before disconnect
-                flushTileUpdates(plantId, io, plantUsername);
             }
+
+            if (auditEdits) {
+                flushAdminEditAudit(`${viewerId}:${plantId}`);
+            }
+
+            // Flush remaining tiles, then forget the grid once nobody is editing it
+            flushTileUpdates(plantId, io, plantUsername).then(() => {
+                releasePlantGrid(io, plantId);
+            });
         });
     });
 }
 
-module.exports = { initializeSocket };
+module.exports = {
+    initializeSocket,
+    invalidatePlantState,
+    removePlantState,
+    isGalleryListed,
+    resetPlant,
+    removePlantTiles,
+    previewTileRemoval,
+    emitToGallery,
+    updatePlantListing,
+    capturePlantState,
+    restorePlantState,
+    validateSeedWord,
+};
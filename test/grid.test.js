@@ -0,0 +1,110 @@
+// Grid rules are shared with the browser, so load the UMD file straight from public/
+const test = require('node:test');
+const assert = require('node:assert');
+const GridRules = require('../public/grid');
+
+const { SEED_X, PLAYABLE_HEIGHT, cellKey } = GridRules;
+
+// Build a grid holding a seed column plus extra letters given as [x, y, letter]
+function makeGrid(seed, letters = []) {
+    const grid = new Map();
+    for (const cell of GridRules.getSeedCells(seed)) {
+        grid.set(cellKey(cell.x, cell.y), { ...cell, isSeed: true, blooming: true });
+    }
+    for (const [x, y, letter] of letters) {
+        grid.set(cellKey(x, y), { x, y, letter, isSeed: false, blooming: false });
+    }
+    return grid;
+}
+
+// The seed's top cell is the first place new letters can grow from
+const SEED = 'TREE';
+const TOP_Y = GridRules.getSeedStartY(SEED);
+
+test('seed cells form a column centered at the bottom of the grid', () => {
+    const cells = GridRules.getSeedCells('tree');
+    assert.deepStrictEqual(cells.map(c => c.letter).join(''), 'TREE');
+    assert.ok(cells.every(c => c.x === SEED_X));
+    assert.strictEqual(cells[cells.length - 1].y, GridRules.GRID_HEIGHT - 1);
+});
+
+test('placement needs exactly one neighbouring letter', () => {
+    const grid = makeGrid(SEED, [[SEED_X, TOP_Y - 1, 'A']]);
+
+    assert.ok(GridRules.isValidPlacement(grid, SEED, SEED_X, TOP_Y - 2));
+    assert.ok(GridRules.isValidPlacement(grid, SEED, SEED_X + 1, TOP_Y - 1));
+    assert.ok(!GridRules.isValidPlacement(grid, SEED, SEED_X + 5, TOP_Y - 5), 'no neighbours');
+    assert.ok(!GridRules.isValidPlacement(grid, SEED, SEED_X, TOP_Y - 1), 'cell taken');
+
+    grid.set(cellKey(SEED_X + 1, TOP_Y - 2), { x: SEED_X + 1, y: TOP_Y - 2, letter: 'B' });
+    assert.ok(!GridRules.isValidPlacement(grid, SEED, SEED_X + 1, TOP_Y - 1), 'two neighbours');
+});
+
+test('placement stays inside the playable rows and off the seed edges', () => {
+    const grid = makeGrid(SEED);
+
+    assert.ok(!GridRules.isInBounds(-1, 0));
+    assert.ok(!GridRules.isInBounds(0, PLAYABLE_HEIGHT));
+    assert.ok(!GridRules.isValidPlacement(grid, SEED, SEED_X + 1, PLAYABLE_HEIGHT + 1), 'seed rows');
+
+    // The cells beside the seed in the last playable row would grow straight into it
+    assert.ok(GridRules.isBlockedBySeed(SEED, SEED_X - 1, PLAYABLE_HEIGHT));
+    assert.ok(GridRules.isBlockedBySeed('SEEDLING', SEED_X + 1, PLAYABLE_HEIGHT));
+    assert.ok(!GridRules.isBlockedBySeed(SEED, SEED_X + 2, PLAYABLE_HEIGHT));
+    assert.ok(!GridRules.isBlockedBySeed(null, SEED_X - 1, PLAYABLE_HEIGHT));
+});
+
+test('only non-seed letters in the playable rows are editable', () => {
+    const grid = makeGrid(SEED, [[SEED_X, TOP_Y - 1, 'A']]);
+
+    assert.ok(GridRules.isEditableCell(grid, SEED_X, TOP_Y - 1));
+    assert.ok(!GridRules.isEditableCell(grid, SEED_X, TOP_Y));
+    assert.ok(!GridRules.isEditableCell(grid, SEED_X, TOP_Y - 2));
+});
+
+test('letters reachable from the seed are connected', () => {
+    const grid = makeGrid(SEED, [
+        [SEED_X, TOP_Y - 1, 'A'],
+        [SEED_X + 1, TOP_Y - 1, 'B'],
+        [SEED_X + 1, TOP_Y - 2, 'C'],
+    ]);
+
+    assert.deepStrictEqual(GridRules.findDisconnectedLetters(grid, SEED), []);
+});
+
+test('removing a letter cuts off everything that only hung from it', () => {
+    const grid = makeGrid(SEED, [
+        [SEED_X, TOP_Y - 1, 'A'],
+        [SEED_X, TOP_Y - 2, 'B'],
+        [SEED_X + 1, TOP_Y - 2, 'C'],
+        [SEED_X - 1, TOP_Y, 'D'],
+    ]);
+    grid.delete(cellKey(SEED_X, TOP_Y - 1));
+
+    const cutOff = GridRules.findDisconnectedLetters(grid, SEED);
+    assert.deepStrictEqual(
+        cutOff.sort(),
+        [cellKey(SEED_X, TOP_Y - 2), cellKey(SEED_X + 1, TOP_Y - 2)].sort()
+    );
+    assert.ok(grid.has(cellKey(SEED_X, TOP_Y - 2)), 'finding does not change the grid');
+});
+
+test('pruning deletes the cut-off letters and returns their keys', () => {
+    const grid = makeGrid(SEED, [
+        [SEED_X, TOP_Y - 1, 'A'],
+        [SEED_X + 5, TOP_Y - 5, 'Z'],
+    ]);
+
+    const removed = GridRules.pruneDisconnectedLetters(grid, SEED);
+    assert.deepStrictEqual(removed, [cellKey(SEED_X + 5, TOP_Y - 5)]);
+    assert.ok(!grid.has(cellKey(SEED_X + 5, TOP_Y - 5)));
+    assert.ok(grid.has(cellKey(SEED_X, TOP_Y - 1)));
+    assert.strictEqual(grid.size, SEED.length + 1);
+});
+
+test('seed letters are never cut off', () => {
+    const grid = makeGrid(SEED);
+
+    assert.deepStrictEqual(GridRules.pruneDisconnectedLetters(grid, SEED), []);
+    assert.strictEqual(grid.size, SEED.length);
+});